@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+const { main } = require("../src/cli");
+
+process.exitCode = main(process.argv.slice(2), {
+  stdout: process.stdout,
+  stderr: process.stderr,
+  cwd: process.cwd(),
+});
@@ -3,7 +3,7 @@ import js from '@eslint/js';
 export default [
   js.configs.recommended,
   {
-    files: ["src/**/*.js", "tests/**/*.js"],
+    files: ["bin/**/*.js", "src/**/*.js", "tests/**/*.js", "tests/**/*.cjs"],
     languageOptions: {
       ecmaVersion: 2020,
       sourceType: "module",
@@ -0,0 +1,119 @@
+const fs = require("fs");
+const path = require("path");
+const { buildDependencyGraph, formatters } = require("./report");
+const rule = require("./no-cousin-imports");
+
+const { getNormalizedOptions, toAnalyzedPath, isDirectory } = rule.helpers;
+
+const USAGE = `Usage: no-cousin-imports report [directories...] [options]
+
+Reports the imports between the modules of a project, i.e. the first
+directories below each zone, and flags those that break the rule.
+
+Options:
+  -f, --format <format>  Output format: ${Object.keys(formatters).join(", ")} (default: table)
+  -c, --config <file>    JSON file with the rule options (default: one zone per directory)
+  -r, --root <directory> Project root (default: current directory)
+  -h, --help             Show this help
+`;
+
+function parseArguments(args) {
+  const parsed = { command: null, directories: [], format: "table", config: null, root: null, help: false };
+  const valueFlags = {
+    "-f": "format",
+    "--format": "format",
+    "-c": "config",
+    "--config": "config",
+    "-r": "root",
+    "--root": "root",
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const [flag, inlineValue] = arg.startsWith("--") ? arg.split(/=(.*)/s) : [arg];
+
+    if (flag === "-h" || flag === "--help") {
+      parsed.help = true;
+    } else if (valueFlags[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (value === undefined) throw new Error(`Missing value for ${flag}`);
+      parsed[valueFlags[flag]] = value;
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (parsed.command === null) {
+      parsed.command = arg;
+    } else {
+      parsed.directories.push(arg);
+    }
+  }
+
+  return parsed;
+}
+
+// Returns the process exit code: 0 on success, 2 on usage or configuration errors
+function main(args, { stdout, stderr, cwd }) {
+  let parsed;
+  try {
+    parsed = parseArguments(args);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (parsed.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+  if (parsed.command !== "report") {
+    stderr.write(parsed.command ? `Unknown command ${parsed.command}\n\n${USAGE}` : USAGE);
+    return 2;
+  }
+
+  const format = formatters[parsed.format];
+  if (!format) {
+    stderr.write(`Unknown format ${parsed.format}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const projectRoot = path.resolve(cwd, parsed.root || ".");
+  const directories = parsed.directories.length > 0 ? parsed.directories : ["."];
+  const missingDirectory = directories.find(
+    (directory) => !isDirectory(path.resolve(projectRoot, directory))
+  );
+  if (missingDirectory !== undefined) {
+    stderr.write(`No such directory ${missingDirectory}\n`);
+    return 2;
+  }
+
+  let options;
+  try {
+    options = parsed.config
+      ? JSON.parse(fs.readFileSync(path.resolve(cwd, parsed.config), "utf8"))
+      : {};
+  } catch (error) {
+    stderr.write(`Unable to read config ${parsed.config}: ${error.message}\n`);
+    return 2;
+  }
+  if (!options.zones) {
+    options = { ...options, zones: directories.map((directory) => ({ path: directory })) };
+  }
+
+  // Entries the rule would drop with a warning make the report misleading
+  const { problems } = getNormalizedOptions(options, toAnalyzedPath(projectRoot, options));
+  if (problems.length > 0) {
+    for (const problem of problems) {
+      stderr.write(`Invalid configuration: ${problem}\n`);
+    }
+    return 2;
+  }
+
+  const graph = buildDependencyGraph(projectRoot, directories, options);
+  for (const { file, message } of graph.errors) {
+    stderr.write(`Skipped ${file}: ${message}\n`);
+  }
+  stdout.write(format(graph));
+
+  return 0;
+}
+
+module.exports = { main };
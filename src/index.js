@@ -0,0 +1,44 @@
+const noCousinImports = require("./no-cousin-imports");
+const { name, version } = require("../package.json");
+
+const PLUGIN_NAMESPACE = "no-cousin-imports";
+const RULE_ID = `${PLUGIN_NAMESPACE}/no-cousin-imports`;
+
+// Presets assume feature modules under src/features with common code in "shared" folders
+const presetOptions = {
+  recommended: {
+    zones: [{ path: "src/features" }],
+    sharedPatterns: [{ pattern: "shared", type: "folder" }],
+  },
+  strict: {
+    zones: [{ path: "src" }],
+    sharedPatterns: [{ pattern: "shared", type: "folder" }],
+    tsconfig: true,
+    typeImports: "check",
+    nonLiteralSpecifiers: "report",
+  },
+};
+
+const plugin = {
+  meta: { name, version },
+  rules: {
+    "no-cousin-imports": noCousinImports,
+  },
+  configs: {},
+};
+
+for (const [presetName, options] of Object.entries(presetOptions)) {
+  // Flat config presets reference the plugin object directly
+  plugin.configs[presetName] = {
+    name: `${PLUGIN_NAMESPACE}/${presetName}`,
+    plugins: { [PLUGIN_NAMESPACE]: plugin },
+    rules: { [RULE_ID]: ["error", options] },
+  };
+  // eslintrc presets resolve the plugin by name
+  plugin.configs[`legacy-${presetName}`] = {
+    plugins: [PLUGIN_NAMESPACE],
+    rules: { [RULE_ID]: ["error", options] },
+  };
+}
+
+module.exports = plugin;
@@ -1,61 +1,1167 @@
+const fs = require("fs");
 const path = require("path");
 
+const TSCONFIG_FILENAMES = ["tsconfig.json", "jsconfig.json"];
+const DEFAULT_RESOLVE_EXTENSIONS = [".ts", ".tsx", ".d.ts", ".js", ".jsx", ".mjs", ".cjs", ".json"];
+const DEFAULT_INDEX_FILES = ["index"];
+// TypeScript ESM code imports './file.js' while the source on disk is 'file.ts'
+const SOURCE_EXTENSION_SUBSTITUTES = {
+  ".js": [".ts", ".tsx"],
+  ".jsx": [".tsx"],
+  ".mjs": [".mts"],
+  ".cjs": [".cts"],
+};
+// Entries whose presence marks a project root for 'rootDir: true'. '.git' is a
+// directory in a plain checkout and a file in worktrees and submodules.
+const PROJECT_ROOT_MARKERS = ["package.json", "tsconfig.json", ".git"];
+const PROBE_EXTENSIONS = ["", ".ts", ".tsx", ".d.ts", ".js", ".jsx", ".mjs", ".cjs", ".json"];
+// Files processors split into blocks linted as '<file>/<block>', e.g.
+// 'Component.vue/0_script.ts'
+const VIRTUAL_BLOCK_FILENAME = /^(.*\.(?:vue|svelte|astro|md|mdx|html?))[\\/][^\\/]+$/;
+// Files that declare a directory's boundary settings next to its code
+const DEFAULT_SHARED_MARKER = ".shared";
+const DEFAULT_BOUNDARY_MARKER = "boundary.json";
+
+// Parsed tsconfig/jsconfig files keyed by absolute config path, and the config
+// discovered for each directory, so a lint run reads every config only once.
+const tsconfigCache = new Map();
+const tsconfigLocationCache = new Map();
+// Project root discovered for each directory
+const projectRootCache = new Map();
+// Workspace packages discovered for each workspace root
+const workspaceCache = new Map();
+// Marker files read for each directory and marker file names
+const markerCache = new Map();
+// Baseline files keyed by absolute path, and the violations recorded per
+// baseline while NO_COUSIN_IMPORTS_UPDATE_BASELINE is set
+const baselineCache = new Map();
+const baselineUpdates = new Map();
+// Normalized options keyed by the options object ESLint shares between the
+// files of a config, then by project root
+const normalizedOptionsCache = new WeakMap();
+// Entries kept by each per-config memoization cache
+const ANALYSIS_CACHE_SIZE = 10000;
+// Formatted 'existing shared patterns' lists keyed by normalized pattern array
+const sharedPatternsListCache = new WeakMap();
+
+// Returns the text captured by the '*' of an alias pattern, "" for an exact
+// (non-wildcard) match, or null when the pattern does not apply.
+function matchAliasPattern(aliasPattern, importPath) {
+  const starIndex = aliasPattern.indexOf("*");
+  if (starIndex === -1) {
+    return aliasPattern === importPath ? "" : null;
+  }
+
+  const prefix = aliasPattern.slice(0, starIndex);
+  const suffix = aliasPattern.slice(starIndex + 1);
+  if (
+    importPath.length >= prefix.length + suffix.length &&
+    importPath.startsWith(prefix) &&
+    importPath.endsWith(suffix)
+  ) {
+    return importPath.slice(prefix.length, importPath.length - suffix.length);
+  }
+  return null;
+}
+
+// TypeScript path mapping semantics: an exact key always wins, otherwise the
+// wildcard pattern with the longest prefix before '*' wins, regardless of the
+// order in which aliases are declared.
+function findBestAliasMatch(importPath, aliases) {
+  let bestMatch = null;
+  let bestPrefixLength = -1;
+
+  for (const [aliasPattern, targetPatterns] of Object.entries(aliases)) {
+    if (!Array.isArray(targetPatterns) || targetPatterns.length === 0) continue;
+
+    const capturedPath = matchAliasPattern(aliasPattern, importPath);
+    if (capturedPath === null) continue;
+
+    const starIndex = aliasPattern.indexOf("*");
+    if (starIndex === -1) {
+      return { aliasPattern, targetPatterns, capturedPath };
+    }
+    if (starIndex > bestPrefixLength) {
+      bestMatch = { aliasPattern, targetPatterns, capturedPath };
+      bestPrefixLength = starIndex;
+    }
+  }
+
+  return bestMatch;
+}
+
+function pathExistsWithExtensions(candidatePath) {
+  return PROBE_EXTENSIONS.some((extension) => fs.existsSync(candidatePath + extension));
+}
+
 function resolveAliasedPath(
   importPath,
   importerFilePath,
   aliases,
-  projectRoot
+  projectRoot,
+  baseUrl
 ) {
   if (importPath.startsWith(".")) {
     return path.resolve(path.dirname(importerFilePath), importPath);
   }
 
-  // Check if it's an aliased path before defaulting
-  for (const [aliasPattern, targetPatterns] of Object.entries(aliases)) {
-    const prefixToMatch = aliasPattern.endsWith("/*")
-      ? aliasPattern.slice(0, -1)
-      : aliasPattern;
+  const aliasMatch = findBestAliasMatch(importPath, aliases);
+  if (aliasMatch) {
+    const candidates = aliasMatch.targetPatterns.map((targetPattern) =>
+      path.resolve(projectRoot, targetPattern.replace("*", aliasMatch.capturedPath))
+    );
+
+    // Like TypeScript, try each target in order and take the first one that
+    // exists; if none does, the first target is the best guess.
+    if (candidates.length === 1) return candidates[0];
+    return candidates.find(pathExistsWithExtensions) || candidates[0];
+  }
+
+  // Non-relative imports may resolve against baseUrl, but only when the first
+  // segment exists there; anything else is left to node_modules resolution.
+  if (baseUrl && !path.isAbsolute(importPath)) {
+    const firstSegment = importPath.split("/")[0];
+    if (pathExistsWithExtensions(path.join(baseUrl, firstSegment))) {
+      return path.resolve(baseUrl, importPath);
+    }
+  }
+
+  return importPath;
+}
+
+// tsconfig files allow comments and trailing commas, which JSON.parse rejects.
+function parseJsonWithComments(text) {
+  let result = "";
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      result += char;
+      if (char === "\\") {
+        result += text[++i] || "";
+      } else if (char === "\"") {
+        inString = false;
+      }
+    } else if (char === "\"") {
+      inString = true;
+      result += char;
+    } else if (char === "/" && text[i + 1] === "/") {
+      while (i < text.length && text[i] !== "\n") i++;
+      result += "\n";
+    } else if (char === "/" && text[i + 1] === "*") {
+      i = text.indexOf("*/", i + 2);
+      if (i === -1) break;
+      i++;
+    } else {
+      result += char;
+    }
+  }
+
+  return JSON.parse(result.replace(/,(\s*[}\]])/g, "$1"));
+}
+
+function resolveTsconfigExtends(extendsValue, configDir) {
+  if (extendsValue.startsWith(".") || path.isAbsolute(extendsValue)) {
+    const candidate = path.resolve(configDir, extendsValue);
+    if (!candidate.endsWith(".json") && !fs.existsSync(candidate)) {
+      return `${candidate}.json`;
+    }
+    return candidate;
+  }
+
+  // Package references such as "@tsconfig/node18/tsconfig.json" or "@acme/tsconfig"
+  for (const request of [extendsValue, `${extendsValue}/tsconfig.json`]) {
+    try {
+      return require.resolve(request, { paths: [configDir] });
+    } catch {
+      // Try the next form
+    }
+  }
+
+  return null;
+}
+
+function readTsconfigCompilerOptions(configPath, visited) {
+  if (visited.has(configPath)) return {};
+  visited.add(configPath);
+
+  const config = parseJsonWithComments(fs.readFileSync(configPath, "utf8"));
+  const configDir = path.dirname(configPath);
+  const result = {};
+
+  const extendsList = config.extends ? [].concat(config.extends) : [];
+  for (const extendsValue of extendsList) {
+    const parentPath = resolveTsconfigExtends(extendsValue, configDir);
+    if (!parentPath || !fs.existsSync(parentPath)) continue;
+    Object.assign(result, readTsconfigCompilerOptions(parentPath, visited));
+  }
+
+  const compilerOptions = config.compilerOptions || {};
+  if (typeof compilerOptions.baseUrl === "string") {
+    result.baseUrl = path.resolve(configDir, compilerOptions.baseUrl);
+  }
+  if (compilerOptions.paths && typeof compilerOptions.paths === "object") {
+    result.paths = compilerOptions.paths;
+    // Without baseUrl, paths are resolved relative to the config that declares them
+    result.pathsBasePath = configDir;
+  }
+
+  return result;
+}
+
+function loadTsconfigAliases(configPath) {
+  if (tsconfigCache.has(configPath)) {
+    return tsconfigCache.get(configPath);
+  }
+
+  let compilerOptions;
+  try {
+    compilerOptions = readTsconfigCompilerOptions(configPath, new Set());
+  } catch (error) {
+    throw new Error(
+      `no-cousin-imports: unable to read tsconfig '${configPath}': ${error.message}`
+    );
+  }
+
+  const baseUrl = compilerOptions.baseUrl || null;
+  const pathsBase = baseUrl || compilerOptions.pathsBasePath;
+  const aliases = {};
+
+  for (const [aliasPattern, targetPatterns] of Object.entries(compilerOptions.paths || {})) {
+    if (!Array.isArray(targetPatterns) || targetPatterns.length === 0) continue;
+    aliases[aliasPattern] = targetPatterns.map((target) => path.resolve(pathsBase, target));
+  }
+
+  const result = { aliases, baseUrl };
+  tsconfigCache.set(configPath, result);
+  return result;
+}
+
+function findTsconfig(startDirectory) {
+  const visitedDirectories = [];
+  let directory = startDirectory;
+  let configPath = null;
+
+  while (true) {
+    if (tsconfigLocationCache.has(directory)) {
+      configPath = tsconfigLocationCache.get(directory);
+      break;
+    }
+    visitedDirectories.push(directory);
+
+    const found = TSCONFIG_FILENAMES
+      .map((filename) => path.join(directory, filename))
+      .find((candidate) => fs.existsSync(candidate));
+    if (found) {
+      configPath = found;
+      break;
+    }
+
+    const parentDirectory = path.dirname(directory);
+    if (parentDirectory === directory) break;
+    directory = parentDirectory;
+  }
+
+  for (const visitedDirectory of visitedDirectories) {
+    tsconfigLocationCache.set(visitedDirectory, configPath);
+  }
+  return configPath;
+}
+
+// Nearest directory at or above startDirectory containing a project root marker
+function findProjectRoot(startDirectory) {
+  const visitedDirectories = [];
+  let directory = startDirectory;
+  let projectRoot = null;
+
+  while (true) {
+    if (projectRootCache.has(directory)) {
+      projectRoot = projectRootCache.get(directory);
+      break;
+    }
+    visitedDirectories.push(directory);
+
+    if (PROJECT_ROOT_MARKERS.some((marker) => fs.existsSync(path.join(directory, marker)))) {
+      projectRoot = directory;
+      break;
+    }
+
+    const parentDirectory = path.dirname(directory);
+    if (parentDirectory === directory) break;
+    directory = parentDirectory;
+  }
+
+  for (const visitedDirectory of visitedDirectories) {
+    projectRootCache.set(visitedDirectory, projectRoot);
+  }
+  return projectRoot;
+}
+
+function clearProjectRootCache() {
+  projectRootCache.clear();
+}
+
+function clearTsconfigCaches() {
+  tsconfigCache.clear();
+  tsconfigLocationCache.clear();
+}
+
+function clearWorkspaceCache() {
+  workspaceCache.clear();
+}
+
+function clearMarkerCache() {
+  markerCache.clear();
+}
+
+function isFile(candidatePath) {
+  try {
+    return fs.statSync(candidatePath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+function isDirectory(candidatePath) {
+  try {
+    return fs.statSync(candidatePath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function normalizeResolveOptions(resolveOption, projectRoot) {
+  if (!resolveOption) return null;
+
+  const resolveConfig = resolveOption === true ? {} : resolveOption;
+  return {
+    extensions: resolveConfig.extensions || DEFAULT_RESOLVE_EXTENSIONS,
+    indexFiles: resolveConfig.indexFiles || DEFAULT_INDEX_FILES,
+    resolver: resolveConfig.resolver
+      ? loadCustomResolver(resolveConfig.resolver, projectRoot)
+      : null,
+    resolverOptions: resolveConfig.resolverOptions || {},
+  };
+}
+
+// Loads a module following the eslint-import-resolver interface (exposing
+// resolve(source, file, config)), by package name or path relative to the project root.
+function loadCustomResolver(resolver, projectRoot) {
+  const resolverModule = require(require.resolve(resolver, { paths: [projectRoot] }));
+  if (typeof resolverModule.resolve === "function") {
+    return (source, file, config) => resolverModule.resolve(source, file, config);
+  }
+  if (typeof resolverModule === "function") return resolverModule;
+
+  throw new Error(
+    `no-cousin-imports: resolver '${resolver}' does not export a resolve(source, file, config) function`
+  );
+}
+
+// Returns the resolved absolute path, the specifier itself when the resolver
+// reports a built-in module, or null when the resolver could not find it.
+function resolveWithCustomResolver(importPath, importerFilePath, resolveOptions) {
+  let result;
+  try {
+    result = resolveOptions.resolver(importPath, importerFilePath, resolveOptions.resolverOptions);
+  } catch {
+    return null;
+  }
+
+  if (!result || !result.found) return null;
+  return result.path || importPath;
+}
+
+// Follows the import, require or default condition of a package.json
+// 'exports' value down to its file target
+function selectExportCondition(exportsValue) {
+  let target = exportsValue;
+  while (target && typeof target === "object") {
+    // Arrays list fallbacks, the first usable one wins
+    target = Array.isArray(target)
+      ? target.map(selectExportCondition).find((fallback) => typeof fallback === "string") || null
+      : target.import || target.require || target.default || null;
+  }
+  return target;
+}
+
+function getPackageEntry(directoryPath) {
+  const packageJsonPath = path.join(directoryPath, "package.json");
+  if (!isFile(packageJsonPath)) return null;
+
+  let packageJson;
+  try {
+    packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+  } catch {
+    return null;
+  }
+
+  let exportsEntry = packageJson.exports;
+  if (exportsEntry && typeof exportsEntry === "object" && !Array.isArray(exportsEntry)) {
+    exportsEntry = "." in exportsEntry ? exportsEntry["."] : exportsEntry;
+  }
+  exportsEntry = selectExportCondition(exportsEntry);
+
+  const entry = typeof exportsEntry === "string" ? exportsEntry : packageJson.main;
+  return typeof entry === "string" ? path.resolve(directoryPath, entry) : null;
+}
+
+// Turns a resolved specifier into the concrete file on disk: the path itself,
+// the path plus one of the extensions, or a directory's package entry or index
+// file. Paths that cannot be matched to a file are returned unchanged.
+function resolveToFile(absolutePath, resolveOptions, allowPackageEntry = true) {
+  if (isFile(absolutePath)) return absolutePath;
+
+  for (const extension of resolveOptions.extensions) {
+    if (isFile(absolutePath + extension)) return absolutePath + extension;
+  }
+
+  const currentExtension = path.extname(absolutePath);
+  for (const substitute of SOURCE_EXTENSION_SUBSTITUTES[currentExtension] || []) {
+    const candidate = absolutePath.slice(0, -currentExtension.length) + substitute;
+    if (isFile(candidate)) return candidate;
+  }
+
+  if (isDirectory(absolutePath)) {
+    const packageEntry = allowPackageEntry ? getPackageEntry(absolutePath) : null;
+    if (packageEntry) {
+      const resolvedEntry = resolveToFile(packageEntry, resolveOptions, false);
+      if (isFile(resolvedEntry)) return resolvedEntry;
+    }
+
+    const indexFile = findIndexFile(absolutePath, resolveOptions);
+    if (indexFile) return indexFile;
+  }
+
+  return absolutePath;
+}
+
+function findIndexFile(directoryPath, resolveOptions) {
+  for (const indexFile of resolveOptions.indexFiles) {
+    for (const extension of ["", ...resolveOptions.extensions]) {
+      const candidate = path.join(directoryPath, indexFile + extension);
+      if (isFile(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+function toRelativeSpecifier(fromDirectory, targetPath) {
+  const relativePath = toPosixPath(path.relative(fromDirectory, targetPath));
+  return relativePath === ".." || relativePath.startsWith("../")
+    ? relativePath
+    : `./${relativePath}`;
+}
+
+// Expresses a directory through the wildcard alias the original import used,
+// e.g. '@/moduleB' for 'src/moduleB' with '@/*': ['src/*'].
+function toAliasSpecifier(directoryPath, importPath, aliases, projectRoot) {
+  const aliasMatch = findBestAliasMatch(importPath, aliases);
+  if (!aliasMatch || !aliasMatch.aliasPattern.endsWith("*")) return null;
+
+  for (const targetPattern of aliasMatch.targetPatterns) {
+    if (!targetPattern.endsWith("*")) continue;
+
+    const targetDirectory = path.resolve(projectRoot, targetPattern.slice(0, -1));
+    const relativePath = path.relative(targetDirectory, directoryPath);
+    if (relativePath && isPathInside(directoryPath, targetDirectory)) {
+      return aliasMatch.aliasPattern.slice(0, -1) + toPosixPath(relativePath);
+    }
+  }
+  return null;
+}
+
+// Splits module source into words, punctuators and string values, skipping
+// comments, so commented-out code and the text of strings are never read as
+// statements. Template literals are read as strings; regular expression
+// literals are not recognized, which only matters if they quote statements.
+function tokenizeModuleSource(source) {
+  const tokens = [];
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (/\s/.test(char)) continue;
+    if (char === "/" && source[i + 1] === "/") {
+      while (i < source.length && source[i] !== "\n") i++;
+    } else if (char === "/" && source[i + 1] === "*") {
+      i = source.indexOf("*/", i + 2);
+      if (i === -1) break;
+      i++;
+    } else if (char === "'" || char === "\"" || char === "`") {
+      let value = "";
+      for (i++; i < source.length && source[i] !== char; i++) {
+        if (source[i] === "\\") i++;
+        value += source[i] || "";
+      }
+      tokens.push({ type: "string", value });
+    } else if (/[\w$]/.test(char)) {
+      let value = char;
+      while (i + 1 < source.length && /[\w$]/.test(source[i + 1])) value += source[++i];
+      tokens.push({ type: "word", value });
+    } else {
+      tokens.push({ type: "punctuator", value: char });
+    }
+  }
+
+  return tokens;
+}
+
+const isToken = (token, type, value) => Boolean(token) && token.type === type && token.value === value;
+
+// What a barrel file re-exports from the target with 'export ... from', or
+// null when it does not re-export it. 'all' is set by 'export *'; 'names'
+// lists the names re-exported under their own name, so importing them from
+// the barrel binds the same values as importing them from the target.
+function barrelReExports(barrelFile, targetAbsolutePath) {
+  let source;
+  try {
+    source = fs.readFileSync(barrelFile, "utf8");
+  } catch {
+    return null;
+  }
+
+  const targetWithoutExtension = targetAbsolutePath
+    .replace(/\.[cm]?[jt]sx?$/, "")
+    .replace(/[\\/]index$/, "");
+  const specifier = toRelativeSpecifier(path.dirname(barrelFile), targetWithoutExtension);
+  const escapedSpecifier = specifier.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const targetPattern = new RegExp(`^${escapedSpecifier}(?:/index)?(?:\\.[cm]?[jt]sx?)?$`);
+
+  const tokens = tokenizeModuleSource(source);
+  let reExports = null;
+  for (let start = 0; start < tokens.length; start++) {
+    if (!isToken(tokens[start], "word", "export")) continue;
+
+    // The export clause runs up to a 'from' outside braces
+    let end = start + 1;
+    let braceDepth = 0;
+    while (
+      end < tokens.length &&
+      !isToken(tokens[end], "punctuator", ";") &&
+      !isToken(tokens[end], "word", "export") &&
+      !isToken(tokens[end], "word", "import") &&
+      !(braceDepth === 0 && isToken(tokens[end], "word", "from"))
+    ) {
+      if (isToken(tokens[end], "punctuator", "{")) braceDepth++;
+      if (isToken(tokens[end], "punctuator", "}")) braceDepth--;
+      end++;
+    }
+
+    const sourceToken = tokens[end + 1];
+    if (
+      !isToken(tokens[end], "word", "from") ||
+      !sourceToken ||
+      sourceToken.type !== "string" ||
+      !targetPattern.test(sourceToken.value)
+    ) {
+      continue;
+    }
+
+    reExports = reExports || { all: false, names: [] };
+    let clause = tokens.slice(start + 1, end);
+    if (isToken(clause[0], "word", "type") && clause.length > 1) clause = clause.slice(1);
+
+    if (clause.length === 1 && isToken(clause[0], "punctuator", "*")) {
+      reExports.all = true;
+    } else if (
+      isToken(clause[0], "punctuator", "{") &&
+      isToken(clause[clause.length - 1], "punctuator", "}")
+    ) {
+      const exportSpecifiers = [[]];
+      for (const token of clause.slice(1, -1)) {
+        if (isToken(token, "punctuator", ",")) exportSpecifiers.push([]);
+        else exportSpecifiers[exportSpecifiers.length - 1].push(token);
+      }
+
+      for (let exportSpecifier of exportSpecifiers) {
+        if (isToken(exportSpecifier[0], "word", "type") && exportSpecifier.length > 1) {
+          exportSpecifier = exportSpecifier.slice(1);
+        }
+        const [local, as, exported = local] = exportSpecifier;
+        if (
+          local &&
+          (exportSpecifier.length === 1 ||
+            (exportSpecifier.length === 3 && isToken(as, "word", "as"))) &&
+          local.value === exported.value
+        ) {
+          reExports.names.push(local.value);
+        }
+      }
+    }
+  }
+  return reExports;
+}
+
+// Whether childPath is parentPath or below it. Compares whole segments, so
+// '/repo/app-legacy' is not inside '/repo/app'; paths on another Windows drive
+// come back absolute from path.relative and are outside.
+function isPathInside(childPath, parentPath, pathApi = path) {
+  const relativePath = pathApi.relative(parentPath, childPath);
+  return (
+    relativePath !== ".." &&
+    !relativePath.startsWith(`..${pathApi.sep}`) &&
+    !pathApi.isAbsolute(relativePath)
+  );
+}
+
+// Resolves symlinks in the part of the path that exists, keeping the missing
+// rest, since import paths usually lack their extension.
+function resolveRealPath(filePath) {
+  const missingSegments = [];
+  let existingPath = filePath;
+
+  for (;;) {
+    try {
+      return path.join(fs.realpathSync.native(existingPath), ...missingSegments);
+    } catch {
+      const parentPath = path.dirname(existingPath);
+      if (parentPath === existingPath) return filePath;
+      missingSegments.unshift(path.basename(existingPath));
+      existingPath = parentPath;
+    }
+  }
+}
+
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Reads the 'packages' list of a pnpm-workspace.yaml without a YAML parser:
+// only the block sequence form pnpm documents is supported.
+function parsePnpmWorkspacePackages(text) {
+  const patterns = [];
+  let inPackages = false;
+
+  for (const line of text.split(/\r?\n/)) {
+    const content = line.replace(/\s+#.*$/, "").replace(/^#.*$/, "");
+    if (!content.trim()) continue;
+
+    if (/^packages\s*:/.test(content)) {
+      inPackages = true;
+      continue;
+    }
+    if (!inPackages) continue;
+
+    const item = content.match(/^\s*-\s*(.+?)\s*$/);
+    if (!item) {
+      if (!/^\s/.test(content)) inPackages = false;
+      continue;
+    }
+    patterns.push(item[1].replace(/^(['"])(.*)\1$/, "$2"));
+  }
+
+  return patterns;
+}
+
+function readWorkspacePatterns(workspaceRoot) {
+  const patterns = [];
+
+  const packageJson = readJsonFile(path.join(workspaceRoot, "package.json"));
+  const workspaces = packageJson && packageJson.workspaces;
+  if (Array.isArray(workspaces)) {
+    patterns.push(...workspaces);
+  } else if (workspaces && Array.isArray(workspaces.packages)) {
+    patterns.push(...workspaces.packages);
+  }
+
+  const pnpmWorkspacePath = path.join(workspaceRoot, "pnpm-workspace.yaml");
+  if (isFile(pnpmWorkspacePath)) {
+    patterns.push(...parsePnpmWorkspacePackages(fs.readFileSync(pnpmWorkspacePath, "utf8")));
+  }
+
+  return patterns;
+}
+
+function listSubdirectories(directory) {
+  try {
+    return fs
+      .readdirSync(directory, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && entry.name !== "node_modules" && !entry.name.startsWith("."))
+      .map((entry) => path.join(directory, entry.name));
+  } catch {
+    return [];
+  }
+}
+
+function expandDirectoryPattern(baseDirectory, segments) {
+  if (segments.length === 0) return [baseDirectory];
+
+  const [head, ...rest] = segments;
+  if (head === "**") {
+    return [
+      ...expandDirectoryPattern(baseDirectory, rest),
+      ...listSubdirectories(baseDirectory).flatMap((directory) =>
+        expandDirectoryPattern(directory, segments)
+      ),
+    ];
+  }
+  if (head.includes("*")) {
+    const segmentRegExp = new RegExp(`^${globToRegExpSource(head)}$`);
+    return listSubdirectories(baseDirectory)
+      .filter((directory) => segmentRegExp.test(path.basename(directory)))
+      .flatMap((directory) => expandDirectoryPattern(directory, rest));
+  }
+
+  const directory = path.join(baseDirectory, head);
+  return isDirectory(directory) ? expandDirectoryPattern(directory, rest) : [];
+}
+
+// Maps every workspace package name to its folder, from package.json
+// 'workspaces' and pnpm-workspace.yaml. Longer names come first so the most
+// specific package wins when names share a prefix.
+function loadWorkspacePackages(workspaceRoot) {
+  if (workspaceCache.has(workspaceRoot)) {
+    return workspaceCache.get(workspaceRoot);
+  }
+
+  const patterns = readWorkspacePatterns(workspaceRoot);
+  const exclusions = patterns
+    .filter((pattern) => pattern.startsWith("!"))
+    .map((pattern) => pattern.slice(1).replace(/\/+$/, ""))
+    .map((pattern) => new RegExp(`^${globToRegExpSource(pattern)}$`));
+  const directories = new Set(
+    patterns
+      .filter((pattern) => !pattern.startsWith("!"))
+      .flatMap((pattern) => expandDirectoryPattern(workspaceRoot, pattern.split("/").filter(Boolean)))
+  );
+
+  const workspacePackages = [];
+  for (const directory of directories) {
+    const relativeDirectory = toPosixPath(path.relative(workspaceRoot, directory));
+    if (exclusions.some((exclusion) => exclusion.test(relativeDirectory))) continue;
+
+    const packageJson = readJsonFile(path.join(directory, "package.json"));
+    if (!packageJson || typeof packageJson.name !== "string") continue;
+
+    workspacePackages.push({
+      name: packageJson.name,
+      directory,
+      exports: packageJson.exports,
+    });
+  }
+
+  workspacePackages.sort((a, b) => b.name.length - a.name.length);
+  workspaceCache.set(workspaceRoot, workspacePackages);
+  return workspacePackages;
+}
+
+function findWorkspacePackage(importPath, workspacePackages) {
+  for (const workspacePackage of workspacePackages) {
+    if (importPath === workspacePackage.name) {
+      return { workspacePackage, subpath: "" };
+    }
+    if (importPath.startsWith(`${workspacePackage.name}/`)) {
+      return { workspacePackage, subpath: importPath.slice(workspacePackage.name.length + 1) };
+    }
+  }
+  return null;
+}
+
+// The 'exports' entry a subpath request ('.' or './name') resolves through,
+// the way Node picks it: an exact key first, then the '*' pattern with the
+// longest prefix. 'target' is null when the entry blocks the subpath, and the
+// result is null when 'exports' does not declare it.
+function findPackageExport(exportsField, request) {
+  if (!exportsField) return null;
+
+  // A string, an array or conditions only export the package root
+  const exportsMap =
+    typeof exportsField === "object" &&
+    !Array.isArray(exportsField) &&
+    Object.keys(exportsField).some((exportKey) => exportKey.startsWith("."))
+      ? exportsField
+      : { ".": exportsField };
+
+  if (Object.prototype.hasOwnProperty.call(exportsMap, request) && !request.includes("*")) {
+    const target = selectExportCondition(exportsMap[request]);
+    return { target: typeof target === "string" ? target : null };
+  }
+
+  let bestKey = null;
+  let bestMatch = null;
+  for (const exportKey of Object.keys(exportsMap)) {
+    const starIndex = exportKey.indexOf("*");
+    if (starIndex === -1 || exportKey.indexOf("*", starIndex + 1) !== -1) continue;
+
+    const match = matchAliasPattern(exportKey, request);
+    if (match === null) continue;
+
+    const bestStarIndex = bestKey === null ? -1 : bestKey.indexOf("*");
+    if (
+      starIndex > bestStarIndex ||
+      (starIndex === bestStarIndex && exportKey.length > bestKey.length)
+    ) {
+      bestKey = exportKey;
+      bestMatch = match;
+    }
+  }
+  if (bestKey === null) return null;
+
+  const target = selectExportCondition(exportsMap[bestKey]);
+  return { target: typeof target === "string" ? target.replace(/\*/g, bestMatch) : null };
+}
+
+// The package root is always an entry point. Subpaths are entry points only
+// when package.json 'exports' declares them with a target.
+function isWorkspaceEntryPoint(workspacePackage, subpath) {
+  if (!subpath) return true;
+
+  const packageExport = findPackageExport(workspacePackage.exports, `./${subpath}`);
+  return packageExport !== null && packageExport.target !== null;
+}
+
+// The file a workspace subpath maps to through package.json 'exports', or
+// null when 'exports' does not declare it or blocks it.
+function resolveWorkspaceExport(workspacePackage, subpath) {
+  const packageExport = findPackageExport(workspacePackage.exports, subpath ? `./${subpath}` : ".");
+  return packageExport && packageExport.target !== null
+    ? path.resolve(workspacePackage.directory, packageExport.target)
+    : null;
+}
+
+function normalizePublicEntryOptions(publicEntryOption) {
+  if (!publicEntryOption) return null;
+
+  const publicEntryConfig = publicEntryOption === true ? {} : publicEntryOption;
+  return {
+    files: publicEntryConfig.files || DEFAULT_INDEX_FILES,
+    packageExports: publicEntryConfig.packageExports !== false,
+  };
+}
+
+function normalizeMarkerOptions(markersOption) {
+  if (!markersOption) return null;
+
+  const markersConfig = markersOption === true ? {} : markersOption;
+  return {
+    sharedFile: markersConfig.sharedFile || DEFAULT_SHARED_MARKER,
+    boundaryFile: markersConfig.boundaryFile || DEFAULT_BOUNDARY_MARKER,
+  };
+}
+
+// Reads the markers of a directory, or returns null when it has none. The
+// shared marker file, whatever its content, declares the directory shared;
+// the boundary file is JSON that can declare it shared, a module boundary
+// and the importers allowed to use it.
+function readDirectoryMarkers(directory, markerOptions) {
+  const cacheKey = `${directory}\0${markerOptions.sharedFile}\0${markerOptions.boundaryFile}`;
+  if (markerCache.has(cacheKey)) {
+    return markerCache.get(cacheKey);
+  }
+
+  let markers = null;
+  const boundaryConfig = readJsonFile(path.join(directory, markerOptions.boundaryFile));
+  if (boundaryConfig && typeof boundaryConfig === "object") {
+    const allowedDependents = Array.isArray(boundaryConfig.allowedDependents)
+      ? boundaryConfig.allowedDependents.filter((dependent) => typeof dependent === "string")
+      : [];
+    markers = {
+      shared: boundaryConfig.shared === true,
+      boundary: boundaryConfig.boundary === true,
+      _dependentRegExps: allowedDependents.map(compileBoundaryPattern),
+    };
+  }
+  if (fs.existsSync(path.join(directory, markerOptions.sharedFile))) {
+    markers = { boundary: false, _dependentRegExps: [], ...markers, shared: true };
+  }
+
+  markerCache.set(cacheKey, markers);
+  return markers;
+}
+
+// Marked directories on the imported side below the common ancestor, nearest
+// to the imported file first. 'depth' counts the directories between a marked
+// directory and the imported file, 0 for its top-level files.
+function findImportMarkers(projectRoot, analysis, markerOptions) {
+  const ancestorPath = path.join(projectRoot, ...analysis.commonAncestorPathSegments);
+  const directorySegments = analysis.importedSegmentsAfterAncestor.slice(0, -1);
+  const importMarkers = [];
+
+  for (let length = directorySegments.length; length > 0; length--) {
+    const directory = path.join(ancestorPath, ...directorySegments.slice(0, length));
+    const markers = readDirectoryMarkers(directory, markerOptions);
+    if (markers) {
+      importMarkers.push({ ...markers, directory, depth: directorySegments.length - length });
+    }
+  }
+
+  return importMarkers;
+}
+
+function normalizeNoDeepImportsOptions(noDeepImportsOption) {
+  if (!noDeepImportsOption) return null;
+
+  const noDeepImportsConfig = noDeepImportsOption === true ? {} : noDeepImportsOption;
+  return { maxDepth: noDeepImportsConfig.maxDepth || 0 };
+}
+
+// Longest first, so 'index.d.ts' loses '.d.ts' rather than '.ts'
+const STRIPPED_EXTENSIONS = [...DEFAULT_RESOLVE_EXTENSIONS].sort((a, b) => b.length - a.length);
+
+function stripSourceExtension(filePath) {
+  const extension = STRIPPED_EXTENSIONS.find((candidate) => filePath.endsWith(candidate));
+  return extension ? filePath.slice(0, -extension.length) : filePath;
+}
+
+// The file targets of a package.json 'exports' value, through all conditions
+function collectExportTargets(exportsValue, targets = []) {
+  if (typeof exportsValue === "string") {
+    targets.push(exportsValue);
+  } else if (exportsValue && typeof exportsValue === "object") {
+    for (const value of Object.values(exportsValue)) collectExportTargets(value, targets);
+  }
+  return targets;
+}
+
+// Whether an import goes through the public entry of the module rooted at
+// moduleRootPath: one of its top-level entry files, or with packageExports an
+// 'exports' subpath, 'exports' target or 'main' of the module's package.json.
+function isPublicEntryImport(importedAbsolutePath, moduleRootPath, publicEntryOptions) {
+  const subpath = toPosixPath(path.relative(moduleRootPath, importedAbsolutePath));
+  if (!subpath.includes("/") && publicEntryOptions.files.includes(stripSourceExtension(subpath))) {
+    return true;
+  }
+
+  if (!publicEntryOptions.packageExports) return false;
+  const packageJson = readJsonFile(path.join(moduleRootPath, "package.json"));
+  if (!packageJson) return false;
+
+  if (
+    isWorkspaceEntryPoint(packageJson, subpath) ||
+    isWorkspaceEntryPoint(packageJson, stripSourceExtension(subpath))
+  ) {
+    return true;
+  }
+
+  const importedWithoutExtension = stripSourceExtension(importedAbsolutePath);
+  return [...collectExportTargets(packageJson.exports), packageJson.main].some(
+    (target) =>
+      typeof target === "string" &&
+      matchAliasPattern(
+        stripSourceExtension(path.resolve(moduleRootPath, target)),
+        importedWithoutExtension
+      ) !== null
+  );
+}
+
+// The file on disk being linted. ESLint passes it as physicalFilename when a
+// processor lints a block of the file under a virtual name; other callers
+// may only pass the virtual name.
+function getPhysicalFilename(context) {
+  const physicalFilename =
+    context.physicalFilename ||
+    (typeof context.getPhysicalFilename === "function" && context.getPhysicalFilename());
+  if (physicalFilename && physicalFilename !== context.filename) return physicalFilename;
+
+  const virtualBlockMatch = VIRTUAL_BLOCK_FILENAME.exec(context.filename);
+  return virtualBlockMatch ? virtualBlockMatch[1] : context.filename;
+}
+
+// Segments are '/'-separated whatever the platform, like the patterns they are
+// matched against. pathApi lets tests pass path.win32.
+function getPathSegmentsRelativeToRoot(absolutePath, projectRoot, pathApi = path) {
+  const relativePath = pathApi.relative(projectRoot, absolutePath);
+  return relativePath ? toPosixPath(relativePath, pathApi).split("/") : [];
+}
+
+// Returns the most specific zone containing the file, so nested zones override
+// the zones around them, or null when no zone applies. Files under one of the
+// selected zone's 'except' sub-paths are not in any zone.
+function findRuleZone(filePath, zones, projectRoot, pathApi = path) {
+  if (zones.length === 0) return null;
+
+  let matchingZone = null;
+  let matchingZonePath = "";
+
+  for (const zone of zones) {
+    const zonePath = pathApi.resolve(projectRoot, zone.path);
+    const isInZone = filePath !== zonePath && isPathInside(filePath, zonePath, pathApi);
+
+    if (isInZone && (!matchingZone || zonePath.length > matchingZonePath.length)) {
+      matchingZone = zone;
+      matchingZonePath = zonePath;
+    }
+  }
+
+  if (
+    matchingZone &&
+    (matchingZone.except || []).some((exceptPath) =>
+      isPathInside(filePath, pathApi.resolve(matchingZonePath, exceptPath), pathApi)
+    )
+  ) {
+    return null;
+  }
+
+  return matchingZone;
+}
+
+// A module is the first directory below the zone a file belongs to; files
+// directly inside a zone belong to the zone itself.
+function getModuleName(filePath, zone, projectRoot) {
+  const zonePath = path.resolve(projectRoot, zone.path);
+  const segments = getPathSegmentsRelativeToRoot(filePath, zonePath);
+  const moduleSegments = segments.length > 1 ? [segments[0]] : [];
+
+  return toPosixPath(path.relative(projectRoot, path.join(zonePath, ...moduleSegments))) || ".";
+}
+
+// Module dependencies recorded while linting with a config, on top of those
+// of a precomputed graph. Dependencies are recorded per linted file, so a file
+// linted again (e.g. in an editor) replaces what it recorded before.
+function createModuleGraph(precomputedEdges = []) {
+  const dependencyCounts = new Map();
+  const fileDependencies = new Map();
+
+  function adjustDependency(from, to, delta) {
+    if (!dependencyCounts.has(from)) dependencyCounts.set(from, new Map());
+    const counts = dependencyCounts.get(from);
+    const count = (counts.get(to) || 0) + delta;
+    if (count > 0) {
+      counts.set(to, count);
+    } else {
+      counts.delete(to);
+    }
+  }
+
+  for (const { from, to } of precomputedEdges) {
+    if (typeof from === "string" && typeof to === "string") adjustDependency(from, to, 1);
+  }
+
+  return {
+    resetFile(file) {
+      for (const dependency of fileDependencies.get(file) || []) {
+        const [from, to] = dependency.split("\0");
+        adjustDependency(from, to, -1);
+      }
+      fileDependencies.set(file, new Set());
+    },
+    addDependency(file, from, to) {
+      if (!fileDependencies.has(file)) fileDependencies.set(file, new Set());
+      const dependencies = fileDependencies.get(file);
+      const dependency = `${from}\0${to}`;
+      if (dependencies.has(dependency)) return;
+
+      dependencies.add(dependency);
+      adjustDependency(from, to, 1);
+    },
+    // The shortest chain of modules from one module to another, both
+    // included, or null when the second is not reachable
+    findPath(from, to) {
+      const previousModules = new Map([[from, null]]);
+      const queue = [from];
+
+      while (queue.length > 0) {
+        const current = queue.shift();
+        if (current === to) {
+          const chain = [];
+          for (let module = to; module !== null; module = previousModules.get(module)) {
+            chain.unshift(module);
+          }
+          return chain;
+        }
+        for (const next of (dependencyCounts.get(current) || new Map()).keys()) {
+          if (previousModules.has(next)) continue;
+          previousModules.set(next, current);
+          queue.push(next);
+        }
+      }
+      return null;
+    },
+  };
+}
+
+// Converts glob syntax ('*', '?', '**' and '{a,b}') into a regular expression
+// source matched against '/'-joined path segments.
+function globToRegExpSource(glob) {
+  let source = "";
 
-    if (importPath.startsWith(prefixToMatch)) {
-      let remainingImportPath = importPath.substring(prefixToMatch.length);
-      const targetBase = targetPatterns[0].endsWith("/*")
-        ? targetPatterns[0].slice(0, -1)
-        : targetPatterns[0];
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
 
-      // Remove leading slash from remaining path to avoid path.resolve treating it as absolute
-      if (remainingImportPath.startsWith("/")) {
-        remainingImportPath = remainingImportPath.substring(1);
+    if (char === "*" && glob[i + 1] === "*" && (i === 0 || glob[i - 1] === "/")) {
+      if (glob[i + 2] === "/") {
+        // '**/' matches zero or more whole segments
+        source += "(?:[^/]+/)*";
+        i += 2;
+        continue;
+      }
+      if (i + 2 === glob.length) {
+        source += ".*";
+        i += 1;
+        continue;
       }
+    }
 
-      return remainingImportPath
-        ? path.resolve(projectRoot, targetBase, remainingImportPath)
-        : path.resolve(projectRoot, targetBase);
+    if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{" && glob.indexOf("}", i) !== -1) {
+      const closingIndex = glob.indexOf("}", i);
+      const alternatives = glob.slice(i + 1, closingIndex).split(",").map(globToRegExpSource);
+      source += `(?:${alternatives.join("|")})`;
+      i = closingIndex;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
     }
   }
 
-  return importPath;
+  return source;
 }
 
-function getPathSegmentsRelativeToRoot(absolutePath, projectRoot) {
-  const relativePath = path.relative(projectRoot, absolutePath);
-  return relativePath ? relativePath.split(path.sep) : [];
+function isGlobPattern(pattern) {
+  return /[*?{]/.test(pattern);
 }
 
-function isPathInRuleZone(filePath, zones, projectRoot) {
-  if (zones.length === 0) return false;
+// Precomputes what matching needs: the pattern segments for plain patterns,
+// and a regular expression for glob and regex patterns. Glob folder patterns
+// match as a prefix and glob file patterns as a suffix of the segments after
+// the common ancestor, like their plain counterparts.
+function compileSharedPattern(sharedPattern) {
+  const { pattern, type } = sharedPattern;
+  let regExp = null;
 
-  return zones.some((zone) => {
-    const zonePath = path.resolve(projectRoot, zone.path);
-    const relativePath = path.relative(zonePath, filePath);
-    // If file is in zone, relative path won't start with ".." or be absolute
-    return relativePath && !relativePath.startsWith("..") && !path.isAbsolute(relativePath);
-  });
+  if (type === "regex") {
+    regExp = new RegExp(pattern);
+  } else if (isGlobPattern(pattern)) {
+    const source = globToRegExpSource(pattern);
+    regExp =
+      type === "folder"
+        ? new RegExp(`^${source}(?:/|$)`)
+        : new RegExp(`(?:^|/)${source}$`);
+  }
+
+  return { ...sharedPattern, _segments: pattern.split("/"), _regExp: regExp };
+}
+
+function getSharedPatternRegExp(sharedPattern) {
+  return "_regExp" in sharedPattern
+    ? sharedPattern._regExp
+    : compileSharedPattern(sharedPattern)._regExp;
 }
 
 function matchesSharedPattern(segmentsToCheck, sharedPatterns) {
   if (!segmentsToCheck || segmentsToCheck.length === 0) return false;
 
-  for (const { pattern, type, _segments } of sharedPatterns) {
+  let joinedSegments = null;
+
+  for (const sharedPattern of sharedPatterns) {
+    const { pattern, type, _segments } = sharedPattern;
+
+    const patternRegExp = getSharedPatternRegExp(sharedPattern);
+    if (patternRegExp) {
+      joinedSegments = joinedSegments || segmentsToCheck.join("/");
+      if (patternRegExp.test(joinedSegments)) return true;
+      continue;
+    }
+
     // Use pre-computed segments if available, otherwise split once
     const patternSegments = _segments || pattern.split("/");
 
@@ -84,19 +1190,30 @@ function matchesSharedPattern(segmentsToCheck, sharedPatterns) {
   return false;
 }
 
+function matchesCommonAncestorName(sharedPattern, directoryName) {
+  const { pattern, type } = sharedPattern;
+  if (type !== "folder" || pattern.includes("/")) return false;
+
+  const patternRegExp = getSharedPatternRegExp(sharedPattern);
+  return patternRegExp ? patternRegExp.test(directoryName) : pattern === directoryName;
+}
+
 function analyzeImportRelationship(
   importerAbsolutePath,
   importedAbsolutePath,
   projectRoot,
-  sharedPatterns
+  sharedPatterns,
+  pathApi = path
 ) {
   const importerSegments = getPathSegmentsRelativeToRoot(
     importerAbsolutePath,
-    projectRoot
+    projectRoot,
+    pathApi
   );
   const importedSegments = getPathSegmentsRelativeToRoot(
     importedAbsolutePath,
-    projectRoot
+    projectRoot,
+    pathApi
   );
 
   const minLength = Math.min(importerSegments.length - 1, importedSegments.length - 1);
@@ -133,8 +1250,8 @@ function analyzeImportRelationship(
   let isCommonAncestorDirectoryShared = false;
   if (commonAncestorPathSegments.length > 0) {
     const lastSegment = commonAncestorPathSegments[commonAncestorPathSegments.length - 1];
-    isCommonAncestorDirectoryShared = sharedPatterns.some(
-      ({ pattern, type }) => type === "folder" && !pattern.includes("/") && pattern === lastSegment
+    isCommonAncestorDirectoryShared = sharedPatterns.some((sharedPattern) =>
+      matchesCommonAncestorName(sharedPattern, lastSegment)
     );
   }
 
@@ -143,16 +1260,57 @@ function analyzeImportRelationship(
     isImportTargetShared,
     isCommonAncestorDirectoryShared,
     commonAncestorPathSegments,
+    importerSegmentsAfterAncestor,
     importedSegmentsAfterAncestor,
   };
 }
 
+// How far apart the two sides of an import are: the path segments of the
+// deeper side below the common ancestor (2 for the nearest cousins)
+function getCousinDistance(analysis) {
+  return Math.max(
+    analysis.importerSegmentsAfterAncestor.length,
+    analysis.importedSegmentsAfterAncestor.length
+  );
+}
+
+// A near cousin satisfies every configured limit; without limits there are none
+function isNearCousin(analysis, ancestorDepth, { minAncestorDepth, maxCousinDistance }) {
+  if (minAncestorDepth === undefined && maxCousinDistance === undefined) return false;
+
+  return (
+    (minAncestorDepth === undefined || ancestorDepth >= minAncestorDepth) &&
+    (maxCousinDistance === undefined || getCousinDistance(analysis) <= maxCousinDistance)
+  );
+}
+
+// The shared patterns that would exempt an import, from broadest to narrowest;
+// the structured counterpart of generateViolationSuggestions.
+function suggestSharedPatterns(commonAncestorPathSegments, importedSegmentsAfterAncestor) {
+  const patterns = [];
+
+  if (commonAncestorPathSegments.length > 0) {
+    patterns.push({
+      pattern: commonAncestorPathSegments[commonAncestorPathSegments.length - 1],
+      type: "folder",
+    });
+  }
+  if (importedSegmentsAfterAncestor.length > 1) {
+    patterns.push({ pattern: importedSegmentsAfterAncestor.slice(0, -1).join("/"), type: "folder" });
+  }
+  if (importedSegmentsAfterAncestor.length > 0) {
+    patterns.push({ pattern: importedSegmentsAfterAncestor.join("/"), type: "file" });
+  }
+
+  return patterns;
+}
+
 function generateViolationSuggestions(
   commonAncestorPathSegments,
   importedSegmentsAfterAncestor
 ) {
   const commonAncestorPathString =
-    commonAncestorPathSegments.join(path.sep) || "(project root)";
+    commonAncestorPathSegments.join("/") || "(project root)";
   const commonAncestorLastSegment =
     commonAncestorPathSegments.length > 0
       ? commonAncestorPathSegments[commonAncestorPathSegments.length - 1]
@@ -189,38 +1347,625 @@ function generateViolationSuggestions(
     );
   }
 
-  return suggestions.length > 0
-    ? suggestions.join("\n")
-    : "     (No specific pattern suggestions for this case; review project structure or global shared locations.)";
+  return suggestions.length > 0
+    ? suggestions.join("\n")
+    : "     (No specific pattern suggestions for this case; review project structure or global shared locations.)";
+}
+
+// Boundary paths match a folder (or glob) relative to the project root and
+// everything below it.
+function compileBoundaryPattern(boundaryPath) {
+  const trimmedPath = boundaryPath.replace(/^\.\//, "").replace(/\/+$/, "");
+  return new RegExp(`^${globToRegExpSource(trimmedPath)}(?:/|$)`);
+}
+
+function compileDependencyRules(dependencyRules) {
+  return dependencyRules.map((dependencyRule) => ({
+    ...dependencyRule,
+    _fromRegExp: dependencyRule.from ? compileBoundaryPattern(dependencyRule.from) : null,
+    _toRegExps: dependencyRule.to.map(compileBoundaryPattern),
+  }));
+}
+
+// Returns the first rule whose 'from' matches the importer (a missing 'from'
+// matches any importer) and one of whose 'to' entries matches the import.
+function findDependencyRule(compiledRules, importerRelative, importedRelative) {
+  const importerPath = toPosixPath(importerRelative);
+  const importedPath = toPosixPath(importedRelative);
+
+  return (
+    compiledRules.find(
+      ({ _fromRegExp, _toRegExps }) =>
+        (!_fromRegExp || _fromRegExp.test(importerPath)) &&
+        _toRegExps.some((toRegExp) => toRegExp.test(importedPath))
+    ) || null
+  );
+}
+
+// Layers are listed from the top down. A string names a directory matched at
+// any depth, an object matches a path relative to the project root.
+function compileLayers(layers) {
+  return layers.map((layer, index) =>
+    typeof layer === "string"
+      ? { name: layer, index, _regExp: null }
+      : { name: layer.name, index, _regExp: compileBoundaryPattern(layer.path) }
+  );
+}
+
+// The layer a path belongs to: the one whose match ends nearest to the file,
+// the higher layer on a tie. 'depth' is the number of segments up to the end
+// of the match, i.e. up to and including the layer directory.
+function findLayer(segments, compiledLayers) {
+  let matchingLayer = null;
+  let matchingDepth = 0;
+
+  for (const layer of compiledLayers) {
+    let depth;
+    if (layer._regExp) {
+      const match = layer._regExp.exec(segments.join("/"));
+      depth = match ? match[0].replace(/\/$/, "").split("/").length : 0;
+    } else {
+      depth = segments.lastIndexOf(layer.name) + 1;
+    }
+
+    if (depth > matchingDepth) {
+      matchingLayer = layer;
+      matchingDepth = depth;
+    }
+  }
+
+  return matchingLayer && { ...matchingLayer, depth: matchingDepth };
+}
+
+function formatDependencyRule({ from, to }) {
+  const toList = to.map((boundaryPath) => `'${boundaryPath}'`).join(", ");
+  return from ? `{ from: '${from}', to: [${toList}] }` : `{ to: [${toList}] }`;
+}
+
+// The narrowest edge that would permit an import: from the importer's top-level
+// directory under the common ancestor to the imported one's.
+function suggestAllowRule(
+  commonAncestorPathSegments,
+  importerSegmentsAfterAncestor,
+  importedSegmentsAfterAncestor
+) {
+  return {
+    from: [...commonAncestorPathSegments, importerSegmentsAfterAncestor[0]].join("/"),
+    to: [[...commonAncestorPathSegments, importedSegmentsAfterAncestor[0]].join("/")],
+  };
+}
+
+function getExistingSharedPatternsList(sharedPatterns) {
+  if (!sharedPatternsListCache.has(sharedPatterns)) {
+    sharedPatternsListCache.set(sharedPatterns, formatExistingSharedPatterns(sharedPatterns));
+  }
+  return sharedPatternsListCache.get(sharedPatterns);
+}
+
+function formatExistingSharedPatterns(sharedPatterns) {
+  if (!sharedPatterns || sharedPatterns.length === 0) {
+    return "     None configured.";
+  }
+
+  const folderPatterns = sharedPatterns
+    .filter((p) => p.type === "folder")
+    .map((p) => `'${p.pattern}'`);
+  const filePatterns = sharedPatterns
+    .filter((p) => p.type === "file")
+    .map((p) => `'${p.pattern}'`);
+  const regexPatterns = sharedPatterns
+    .filter((p) => p.type === "regex")
+    .map((p) => `/${p.pattern}/`);
+
+  const parts = [];
+  if (folderPatterns.length > 0) {
+    parts.push(
+      "     - Folder patterns (pattern segments must be a prefix of path segments after common ancestor; or a single-segment pattern can BE the common ancestor name itself):\n" +
+        `       ${folderPatterns.join(", ")}`
+    );
+  }
+  if (filePatterns.length > 0) {
+    parts.push(
+      "     - File patterns (pattern segments must match the end of path segments after common ancestor, e.g., 'dir/file.js' or 'file.js'):\n" +
+        `       ${filePatterns.join(", ")}`
+    );
+  }
+  if (regexPatterns.length > 0) {
+    parts.push(
+      "     - Regex patterns (tested against the path after common ancestor joined with '/'):\n" +
+        `       ${regexPatterns.join(", ")}`
+    );
+  }
+
+  return parts.join("\n");
+}
+
+// Whole-statement type imports ('import type ...') and statements whose every
+// specifier is an inline type ('import { type A, type B } ...').
+function isTypeOnlyImport(node) {
+  if (node.importKind === "type") return true;
+  const specifiers = node.specifiers || [];
+  return specifiers.length > 0 && specifiers.every((specifier) => specifier.importKind === "type");
+}
+
+function isTypeOnlyExport(node) {
+  if (node.exportKind === "type") return true;
+  const specifiers = node.specifiers || [];
+  return specifiers.length > 0 && specifiers.every((specifier) => specifier.exportKind === "type");
+}
+
+// The names an import or re-export takes from its source, or null when the
+// statement depends on more than named bindings: default and namespace
+// imports, 'export *', require(), import() and TypeScript import forms.
+function getImportedNames(node) {
+  if (node.type === "ImportDeclaration") {
+    const specifiers = node.specifiers || [];
+    if (specifiers.some((specifier) => specifier.type !== "ImportSpecifier")) return null;
+    return specifiers.map(({ imported }) => imported.name || imported.value);
+  }
+
+  if (node.type === "ExportNamedDeclaration") {
+    const names = (node.specifiers || []).map(({ local }) => local.name || local.value);
+    return names.includes("default") ? null : names;
+  }
+
+  return null;
+}
+
+function isRequireCall(node) {
+  return (
+    node.callee.type === "Identifier" &&
+    node.callee.name === "require" &&
+    node.arguments.length === 1
+  );
+}
+
+// Returns the specifier string when it is known statically: string literals
+// and template literals without expressions. Anything else yields null.
+function getStaticSourceValue(sourceNode) {
+  if (typeof sourceNode.value === "string") {
+    return sourceNode.value;
+  }
+
+  if (sourceNode.type === "TemplateLiteral" && sourceNode.expressions.length === 0) {
+    return sourceNode.quasis[0].value.cooked;
+  }
+
+  return null;
+}
+
+function toPosixPath(filePath, pathApi = path) {
+  return filePath.split(pathApi.sep).join("/");
+}
+
+function isBaselineUpdateMode() {
+  const value = process.env.NO_COUSIN_IMPORTS_UPDATE_BASELINE;
+  return Boolean(value) && value !== "0" && value !== "false";
+}
+
+// A baseline maps each importer (relative to the project root) to the set of
+// imported paths whose violations are grandfathered. A missing file is an
+// empty baseline, so update mode can create it.
+function loadBaseline(baselinePath) {
+  if (baselineCache.has(baselinePath)) {
+    return baselineCache.get(baselinePath);
+  }
+
+  let content = null;
+  if (fs.existsSync(baselinePath)) {
+    try {
+      content = JSON.parse(fs.readFileSync(baselinePath, "utf8"));
+    } catch (error) {
+      throw new Error(
+        `no-cousin-imports: unable to read baseline '${baselinePath}': ${error.message}`
+      );
+    }
+  }
+
+  const entries = Array.isArray(content) ? content : (content && content.violations) || [];
+  const baseline = new Map();
+  for (const { importer, imported } of entries) {
+    if (!baseline.has(importer)) baseline.set(importer, new Set());
+    baseline.get(importer).add(imported);
+  }
+
+  baselineCache.set(baselinePath, baseline);
+  return baseline;
+}
+
+// Called with imported === null to register an importer without violations,
+// so its old entries are dropped when the baseline is written.
+function recordBaselineViolation(baselinePath, projectRoot, importer, imported) {
+  if (!baselineUpdates.has(baselinePath)) {
+    if (baselineUpdates.size === 0) process.once("exit", flushBaselineUpdates);
+    baselineUpdates.set(baselinePath, { projectRoot, lintedImporters: new Map() });
+  }
+
+  const update = baselineUpdates.get(baselinePath);
+  if (!update.lintedImporters.has(importer)) update.lintedImporters.set(importer, new Set());
+  if (imported) update.lintedImporters.get(importer).add(imported);
+}
+
+// Entries of importers linted in this run are replaced by what the run found;
+// entries of other importers are kept unless the importer no longer exists.
+function mergeBaselineUpdate(baseline, lintedImporters, importerExists) {
+  const violations = [];
+
+  for (const [importer, importedPaths] of baseline) {
+    if (lintedImporters.has(importer) || !importerExists(importer)) continue;
+    for (const imported of importedPaths) violations.push({ importer, imported });
+  }
+  for (const [importer, importedPaths] of lintedImporters) {
+    for (const imported of importedPaths) violations.push({ importer, imported });
+  }
+
+  return violations.sort(
+    (a, b) => a.importer.localeCompare(b.importer) || a.imported.localeCompare(b.imported)
+  );
+}
+
+function flushBaselineUpdates() {
+  for (const [baselinePath, { projectRoot, lintedImporters }] of baselineUpdates) {
+    const violations = mergeBaselineUpdate(
+      loadBaseline(baselinePath),
+      lintedImporters,
+      (importer) => fs.existsSync(path.resolve(projectRoot, importer))
+    );
+    fs.writeFileSync(baselinePath, `${JSON.stringify({ violations }, null, 2)}\n`);
+    baselineCache.delete(baselinePath);
+  }
+  baselineUpdates.clear();
+}
+
+function clearBaselineCaches() {
+  baselineCache.clear();
+  baselineUpdates.clear();
+  process.removeListener("exit", flushBaselineUpdates);
+}
+
+function trimRelativePath(relativePath) {
+  return relativePath.replace(/^(?:\.\/)+/, "").replace(/\/+$/, "");
+}
+
+// Strips leading './' and trailing '/' from folder and file patterns, and drops
+// regex patterns that do not compile.
+function normalizeSharedPatterns(sharedPatterns, location, problems) {
+  return sharedPatterns.flatMap((sharedPattern, index) => {
+    const entry = `${location}[${index}]`;
+
+    if (sharedPattern.type === "regex") {
+      try {
+        new RegExp(sharedPattern.pattern);
+      } catch (error) {
+        problems.push(`${entry} is not a valid regular expression (${error.message}) and is ignored.`);
+        return [];
+      }
+      return [sharedPattern];
+    }
+
+    const pattern = trimRelativePath(sharedPattern.pattern);
+    if (!pattern) {
+      problems.push(`${entry} has an empty pattern and is ignored.`);
+      return [];
+    }
+    // A trailing '**' matches whole directory trees, which is what folder patterns are for
+    if (sharedPattern.type === "file" && /(?:^|\/)\*\*$/.test(pattern)) {
+      problems.push(
+        `${entry} is a file pattern ending in '**' ('${pattern}'). Use a 'folder' pattern to share a directory tree.`
+      );
+    }
+
+    return [{ ...sharedPattern, pattern }];
+  });
+}
+
+function normalizeAliases(aliases, location, problems) {
+  const normalizedAliases = {};
+
+  for (const [aliasPattern, targetPatterns] of Object.entries(aliases || {})) {
+    if (targetPatterns.length === 0) {
+      problems.push(`${location} '${aliasPattern}' has no target paths and is ignored.`);
+      continue;
+    }
+    normalizedAliases[aliasPattern] = targetPatterns;
+  }
+
+  return normalizedAliases;
+}
+
+// Validates and precompiles the options once per config. Problems are
+// collected as messages naming the offending entry; entries that cannot work
+// are dropped. Zone paths are only checked when the project root exists.
+function normalizeOptions(options, projectRoot) {
+  const problems = [];
+  const checkPaths = isDirectory(projectRoot);
+
+  const zones = (options.zones || []).map((zone, index) => {
+    const location = `zones[${index}]`;
+    const zonePath = trimRelativePath(zone.path) || ".";
+    if (checkPaths && !isDirectory(path.resolve(projectRoot, zonePath))) {
+      problems.push(`${location}.path '${zone.path}' is not a directory under '${projectRoot}'.`);
+    }
+
+    const normalizedZone = { ...zone, path: zonePath };
+    if (zone.sharedPatterns) {
+      normalizedZone.sharedPatterns = normalizeSharedPatterns(
+        zone.sharedPatterns,
+        `${location}.sharedPatterns`,
+        problems
+      );
+      normalizedZone._compiledSharedPatterns = normalizedZone.sharedPatterns.map(compileSharedPattern);
+    }
+    if (zone.aliases) {
+      normalizedZone.aliases = normalizeAliases(zone.aliases, `${location}.aliases`, problems);
+    }
+    if (zone.layers) {
+      normalizedZone._compiledLayers = compileLayers(zone.layers);
+    }
+    return normalizedZone;
+  });
+
+  const sharedPatterns = normalizeSharedPatterns(options.sharedPatterns || [], "sharedPatterns", problems);
+
+  const cyclesConfig = options.cycles === true ? {} : options.cycles;
+  let moduleGraph = null;
+  if (cyclesConfig) {
+    let precomputedEdges = [];
+    if (cyclesConfig.cache) {
+      const precomputedGraph = readJsonFile(path.resolve(projectRoot, cyclesConfig.cache));
+      if (precomputedGraph && Array.isArray(precomputedGraph.edges)) {
+        precomputedEdges = precomputedGraph.edges;
+      } else {
+        problems.push(`cycles.cache '${cyclesConfig.cache}' is not a JSON dependency report and is ignored.`);
+      }
+    }
+    moduleGraph = createModuleGraph(precomputedEdges);
+  }
+
+  // An 'except' entry can name a single file, which puts the files of its
+  // directory in different zones
+  const exceptDirectories = new Set(
+    zones.flatMap((zone) =>
+      (zone.except || []).map((exceptPath) =>
+        path.dirname(path.resolve(projectRoot, zone.path, exceptPath))
+      )
+    )
+  );
+
+  return {
+    zones,
+    exceptDirectories,
+    sharedPatterns,
+    compiledSharedPatterns: sharedPatterns.map(compileSharedPattern),
+    aliases: normalizeAliases(options.aliases, "aliases", problems),
+    allowRules: compileDependencyRules(options.allow || []),
+    denyRules: compileDependencyRules(options.deny || []),
+    layers: compileLayers(options.layers || []),
+    moduleGraph,
+    problems,
+    // Results that only depend on the config and a directory, shared by the
+    // files linted with it: the zone per importer directory (per file in
+    // directories holding an 'except' entry), the resolved
+    // path per importer directory and specifier, and the relationship per
+    // importer directory and imported path
+    caches: {
+      zones: createBoundedCache(ANALYSIS_CACHE_SIZE),
+      resolutions: createBoundedCache(ANALYSIS_CACHE_SIZE),
+      relationships: createBoundedCache(ANALYSIS_CACHE_SIZE),
+    },
+  };
+}
+
+// A map holding at most maxSize entries that drops the least recently used
+// one, with hit and miss counts for measuring its effect
+function createBoundedCache(maxSize) {
+  const entries = new Map();
+
+  return {
+    hits: 0,
+    misses: 0,
+    get size() {
+      return entries.size;
+    },
+    get(key, compute) {
+      if (entries.has(key)) {
+        this.hits++;
+        const value = entries.get(key);
+        // Re-insert to mark the entry as most recently used
+        entries.delete(key);
+        entries.set(key, value);
+        return value;
+      }
+
+      this.misses++;
+      const value = compute();
+      entries.set(key, value);
+      if (entries.size > maxSize) {
+        entries.delete(entries.keys().next().value);
+      }
+      return value;
+    },
+  };
+}
+
+function getNormalizedOptions(options, projectRoot) {
+  if (!normalizedOptionsCache.has(options)) {
+    normalizedOptionsCache.set(options, new Map());
+  }
+
+  const optionsByRoot = normalizedOptionsCache.get(options);
+  if (!optionsByRoot.has(projectRoot)) {
+    optionsByRoot.set(projectRoot, normalizeOptions(options, projectRoot));
+  }
+
+  return optionsByRoot.get(projectRoot);
 }
 
-function formatExistingSharedPatterns(sharedPatterns) {
-  if (!sharedPatterns || sharedPatterns.length === 0) {
-    return "     None configured.";
-  }
+// With followSymlinks, files are analyzed at their real location
+function toAnalyzedPath(filePath, options) {
+  return options.followSymlinks && path.isAbsolute(filePath) ? resolveRealPath(filePath) : filePath;
+}
 
-  const folderPatterns = sharedPatterns
-    .filter((p) => p.type === "folder")
-    .map((p) => `'${p.pattern}'`);
-  const filePatterns = sharedPatterns
-    .filter((p) => p.type === "file")
-    .map((p) => `'${p.pattern}'`);
+// Resolves the specifiers of one importer in a zone the way the rule analyzes
+// them: a custom resolver, aliases merged with tsconfig paths, workspace
+// package names, then files on disk with 'resolve' and real paths with
+// followSymlinks. resolveImport returns the path with the mechanism that
+// produced it and, for workspace imports, the package and subpath.
+function createImportResolver(options, importerAbsolutePath, zone, projectRoot) {
+  const normalizedOptions = getNormalizedOptions(options, projectRoot);
+  const importerDirectory = path.dirname(importerAbsolutePath);
+  const resolveOptions = normalizeResolveOptions(options.resolve, projectRoot);
+  const workspacesConfig = options.workspaces === true ? {} : options.workspaces;
+  const workspacePackages = workspacesConfig
+    ? loadWorkspacePackages(path.resolve(projectRoot, workspacesConfig.root || "."))
+    : [];
 
-  const parts = [];
-  if (folderPatterns.length > 0) {
-    parts.push(
-      "     - Folder patterns (pattern segments must be a prefix of path segments after common ancestor; or a single-segment pattern can BE the common ancestor name itself):\n" +
-        `       ${folderPatterns.join(", ")}`
-    );
+  const aliasesConfig = { ...normalizedOptions.aliases, ...zone.aliases };
+  let aliases = aliasesConfig;
+  let baseUrl = null;
+  if (options.tsconfig) {
+    const tsconfigPath =
+      options.tsconfig === true
+        ? findTsconfig(importerDirectory)
+        : path.resolve(projectRoot, options.tsconfig);
+
+    if (tsconfigPath) {
+      const tsconfigAliases = loadTsconfigAliases(tsconfigPath);
+      // Explicit aliases come first so they win over tsconfig entries
+      aliases = { ...aliasesConfig };
+      for (const [aliasPattern, targetPatterns] of Object.entries(tsconfigAliases.aliases)) {
+        if (!(aliasPattern in aliases)) aliases[aliasPattern] = targetPatterns;
+      }
+      baseUrl = tsconfigAliases.baseUrl;
+    }
   }
-  if (filePatterns.length > 0) {
-    parts.push(
-      "     - File patterns (pattern segments must match the end of path segments after common ancestor, e.g., 'dir/file.js' or 'file.js'):\n" +
-        `       ${filePatterns.join(", ")}`
-    );
+
+  function resolveImport(importPath) {
+    // Which mechanism turned the specifier into a path, for the message and data
+    let cause = importPath.startsWith(".") || path.isAbsolute(importPath) ? "relative" : "alias";
+    let workspaceImport = null;
+
+    let resolvedPath =
+      (resolveOptions &&
+        resolveOptions.resolver &&
+        resolveWithCustomResolver(importPath, importerAbsolutePath, resolveOptions)) ||
+      normalizedOptions.caches.resolutions.get(`${importerDirectory}\0${importPath}`, () =>
+        resolveAliasedPath(importPath, importerAbsolutePath, aliases, projectRoot, baseUrl)
+      );
+
+    if (!path.isAbsolute(resolvedPath) && workspacePackages.length > 0) {
+      workspaceImport = findWorkspacePackage(importPath, workspacePackages);
+      if (workspaceImport) {
+        const { workspacePackage, subpath } = workspaceImport;
+        resolvedPath =
+          resolveWorkspaceExport(workspacePackage, subpath) ||
+          path.join(workspacePackage.directory, subpath);
+        cause = "workspace";
+      }
+    }
+
+    if (resolveOptions && path.isAbsolute(resolvedPath)) {
+      resolvedPath = resolveToFile(resolvedPath, resolveOptions);
+    }
+
+    return { resolvedPath: toAnalyzedPath(resolvedPath, options), cause, workspaceImport };
   }
 
-  return parts.join("\n");
+  return { aliases, resolveOptions, workspacesConfig, resolveImport };
+}
+
+const sharedPatternsSchema = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: {
+      pattern: { type: "string" },
+      type: { type: "string", enum: ["folder", "file", "regex"] },
+    },
+    required: ["pattern", "type"],
+  },
+};
+
+const aliasesSchema = {
+  type: "object",
+  additionalProperties: {
+    type: "array",
+    items: { type: "string" },
+  },
+};
+
+const layersSchema = {
+  type: "array",
+  items: {
+    anyOf: [
+      { type: "string" },
+      {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          path: { type: "string" },
+        },
+        required: ["name", "path"],
+        additionalProperties: false,
+      },
+    ],
+  },
+  description:
+    "Layers from the top down. A file may import its own layer and the layers below it, never the layers above. A string names a directory matched at any depth; { name, path } matches a path (glob) relative to project root.",
+};
+
+const minAncestorDepthSchema = {
+  type: "integer",
+  minimum: 0,
+  description:
+    "Allow cousin imports whose common ancestor is at least this many directory levels below the zone path. Combined with 'maxCousinDistance', both must hold.",
+};
+
+const maxCousinDistanceSchema = {
+  type: "integer",
+  minimum: 2,
+  description:
+    "Allow cousin imports where neither file is more than this many path segments below the common ancestor. Combined with 'minAncestorDepth', both must hold.",
+};
+
+const dependencyRulesSchema = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: {
+      from: { type: "string" },
+      to: { type: "array", items: { type: "string" }, minItems: 1 },
+    },
+    required: ["to"],
+    additionalProperties: false,
+  },
+};
+
+const causeMessageIds = {
+  relative: "noCousins",
+  alias: "noCousinsViaAlias",
+  workspace: "noCrossWorkspaceCousins",
+};
+
+// The verbose explanation appended to cousin messages
+function formatViolationDetails({
+  commonAncestorPathString,
+  existingSharedPatternsList,
+  violationSuggestions,
+  allowRuleSuggestion,
+}) {
+  return [
+    "",
+    `\nThis import crosses module boundaries under the common ancestor: '${commonAncestorPathString}'.`,
+    "\nTo resolve this, you have a few options:",
+    `1. Reorganize code (Often the preferred architectural solution): Move the shared logic to a common ancestor directory (e.g., within or above '${commonAncestorPathString}') or a designated global shared location.`,
+    "\n   Your project currently has the following shared patterns defined (patterns are matched relative to the common ancestor of an import):",
+    existingSharedPatternsList,
+    "\n2. OR, explicitly allow this import pattern by updating the 'sharedPatterns' option in your ESLint configuration. Based on this specific import, you could consider:",
+    violationSuggestions,
+    "\n3. OR, if this dependency between modules is intended, allow it with an entry in the 'allow' option:",
+    `     ${allowRuleSuggestion}`,
+  ].join("\n");
 }
 
 module.exports = {
@@ -231,6 +1976,8 @@ module.exports = {
         "Disallow imports between sibling directory trees ('cousin' imports) within specified zones. Exemptions apply if the target path is shared or if the common ancestor directory is shared. Folder and File patterns (which can be multi-segment) are matched relative to the common ancestor directory of an import.",
       recommended: false,
     },
+    fixable: "code",
+    hasSuggestions: true,
     schema: [
       {
         type: "object",
@@ -238,156 +1985,948 @@ module.exports = {
           zones: {
             type: "array",
             description:
-              "An array of paths (relative to project root) that should be considered restricted zones where the rule applies.",
+              "An array of paths (relative to project root) that should be considered restricted zones where the rule applies. Each zone may override the global settings; when zones are nested, the most specific one applies.",
             items: {
               type: "object",
-              properties: { path: { type: "string" } },
+              properties: {
+                path: { type: "string" },
+                sharedPatterns: {
+                  ...sharedPatternsSchema,
+                  description: "Shared patterns for this zone, replacing the global 'sharedPatterns'.",
+                },
+                except: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Sub-paths (relative to the zone path) where the rule does not apply.",
+                },
+                aliases: {
+                  ...aliasesSchema,
+                  description: "Aliases for this zone, merged over the global 'aliases'.",
+                },
+                allowDepth: {
+                  type: "integer",
+                  minimum: 0,
+                  description:
+                    "Allow cousin imports whose common ancestor is at least this many directory levels below the zone path. 0 allows every cousin import in the zone. Same as 'minAncestorDepth'.",
+                },
+                layers: {
+                  ...layersSchema,
+                  description: "Layers for this zone, replacing the global 'layers'.",
+                },
+                minAncestorDepth: {
+                  ...minAncestorDepthSchema,
+                  description: "'minAncestorDepth' for this zone, replacing the global value.",
+                },
+                maxCousinDistance: {
+                  ...maxCousinDistanceSchema,
+                  description: "'maxCousinDistance' for this zone, replacing the global value.",
+                },
+              },
               required: ["path"],
             },
             default: [],
           },
-          sharedPatterns: {
-            type: "array",
+          layers: layersSchema,
+          publicEntry: {
+            type: ["boolean", "object"],
             description:
-              "Patterns for shared folders or files, matched relative to the common ancestor directory. Folder patterns can be multi-segment (e.g., 'dirA/dirB') and match as a prefix. File patterns can also be multi-segment (e.g., 'dirA/file.js') and match the full relative path from the common ancestor. An import is exempt if (1) its target path segments after the common ancestor match a shared pattern, OR (2) if the single-segment name of the common ancestor path itself matches a shared 'folder' pattern.",
-            items: {
-              type: "object",
-              properties: {
-                pattern: { type: "string" },
-                type: { type: "string", enum: ["folder", "file"] },
+              "Allow cousin imports only through the public entry of the imported module (the first directory below the common ancestor): its top-level entry files or its package.json 'exports' and 'main'. Other cousin imports are reported with the 'bypassesPublicEntry' message. Shared patterns, allow rules and near-cousin limits still apply.",
+            properties: {
+              files: {
+                type: "array",
+                items: { type: "string" },
+                minItems: 1,
+                description: "Entry file names (without extension) at the top of a module. Defaults to ['index'].",
+              },
+              packageExports: {
+                type: "boolean",
+                description: "Also accept the subpaths and files a module's package.json exposes. Defaults to true.",
+              },
+            },
+            additionalProperties: false,
+          },
+          noDeepImports: {
+            type: ["boolean", "object"],
+            description:
+              "Also check imports that are not cousins: a file may only import the top level of a module (a directory beside it or below it) it is not part of. Deeper imports, like 'features/index.ts' importing 'features/auth/internal/crypto.ts', are reported with the 'deepImport' message. Shared patterns, allow rules and public entries still apply.",
+            properties: {
+              maxDepth: {
+                type: "integer",
+                minimum: 0,
+                description: "How many directories below a module's top level may be imported from outside it. Defaults to 0.",
+              },
+            },
+            additionalProperties: false,
+          },
+          cycles: {
+            type: ["boolean", "object"],
+            description:
+              "Also report imports that close a dependency cycle between modules (the first directories below the zones), whether or not the import is allowed, with the 'importCycle' message. The graph is built from the files linted so far with the same config; 'cache' names a JSON report from 'no-cousin-imports report --format json' whose edges are added to it. Type-only imports are left out.",
+            properties: {
+              cache: {
+                type: "string",
+                minLength: 1,
+                description: "Path of a precomputed JSON dependency report, relative to the project root.",
+              },
+            },
+            additionalProperties: false,
+          },
+          markers: {
+            type: ["boolean", "object"],
+            description:
+              "Read boundary settings from marker files in the directories of imported paths, below the common ancestor. A shared marker file declares its directory shared. A boundary file is JSON with optional 'shared' (boolean), 'boundary' (boolean: files outside the directory may only import its top level, reported with the 'deepImport' message) and 'allowedDependents' (paths or globs of importers, relative to the project root, that may import from the directory).",
+            properties: {
+              sharedFile: {
+                type: "string",
+                minLength: 1,
+                description: "Name of the shared marker file. Defaults to '.shared'.",
+              },
+              boundaryFile: {
+                type: "string",
+                minLength: 1,
+                description: "Name of the boundary file. Defaults to 'boundary.json'.",
               },
-              required: ["pattern", "type"],
             },
+            additionalProperties: false,
+          },
+          minAncestorDepth: minAncestorDepthSchema,
+          maxCousinDistance: maxCousinDistanceSchema,
+          sharedPatterns: {
+            ...sharedPatternsSchema,
+            description:
+              "Patterns for shared folders or files, matched relative to the common ancestor directory. Folder patterns can be multi-segment (e.g., 'dirA/dirB') and match as a prefix. File patterns can also be multi-segment (e.g., 'dirA/file.js') and match the full relative path from the common ancestor. Folder and file patterns accept glob syntax ('*', '?', '**', '{a,b}'); 'regex' patterns are regular expressions tested against the '/'-joined path after the common ancestor. An import is exempt if (1) its target path segments after the common ancestor match a shared pattern, OR (2) if the single-segment name of the common ancestor path itself matches a shared 'folder' pattern.",
             default: [],
           },
           aliases: {
-            type: "object",
+            ...aliasesSchema,
             description:
-              "A map of path aliases to their corresponding file system paths (e.g., {'@/*': ['src/*']}). Paths are relative to project root.",
-            additionalProperties: {
-              type: "array",
-              items: { type: "string" },
-            },
+              "A map of path aliases to their corresponding file system paths (e.g., {'@/*': ['src/*']}), using TypeScript 'paths' semantics: keys without '*' match exactly, the most specific wildcard key wins, and multiple targets are tried in order until one exists. Paths are relative to project root.",
             default: {},
           },
-          _testProjectRoot: {
+          tsconfig: {
+            type: ["boolean", "string"],
+            description:
+              "Read aliases from 'compilerOptions.paths' and 'baseUrl' of a tsconfig.json or jsconfig.json, following 'extends'. Pass a path (relative to project root) or true to use the nearest config above the linted file. Explicit 'aliases' take precedence.",
+          },
+          resolve: {
+            type: ["boolean", "object"],
+            description:
+              "Resolve each import to the concrete file on disk (adding extensions, following directory index files and package.json entries) before analyzing it. Pass true for defaults or an object to configure it.",
+            properties: {
+              extensions: {
+                type: "array",
+                items: { type: "string" },
+                description: "Extensions tried in order when the import omits one.",
+              },
+              indexFiles: {
+                type: "array",
+                items: { type: "string" },
+                description: "File names (without extension) tried when the import points at a directory.",
+              },
+              resolver: {
+                type: "string",
+                description:
+                  "Package name or path (relative to project root) of a module exposing resolve(source, file, options) => { found, path }, as eslint-import-resolver-* packages do. It is tried first; when it does not find the import, alias resolution is used.",
+              },
+              resolverOptions: {
+                type: "object",
+                description: "Passed as the third argument to the custom resolver.",
+              },
+            },
+            additionalProperties: false,
+          },
+          workspaces: {
+            type: ["boolean", "object"],
+            description:
+              "Treat imports of workspace packages (from package.json 'workspaces' or pnpm-workspace.yaml) as local paths so cousin analysis applies across packages. Pass true or an object to configure it.",
+            properties: {
+              root: {
+                type: "string",
+                description: "Workspace root containing package.json/pnpm-workspace.yaml, relative to project root. Defaults to the project root.",
+              },
+              entryPointsOnly: {
+                type: "boolean",
+                description:
+                  "Only allow importing other workspace packages through their package name or subpaths declared in package.json 'exports'. Such imports are not checked further.",
+                default: false,
+              },
+            },
+            additionalProperties: false,
+          },
+          allow: {
+            ...dependencyRulesSchema,
+            description:
+              "Dependency edges that are permitted even though they are cousin imports, e.g. { from: 'src/features/checkout', to: ['src/features/cart'] }. Paths are relative to project root, match everything below them and accept globs; omitting 'from' matches any importer.",
+          },
+          deny: {
+            ...dependencyRulesSchema,
+            description:
+              "Dependency edges that are always reported for cousin imports, even when 'allow' or 'sharedPatterns' would permit them. Same format as 'allow'.",
+          },
+          autofix: {
+            type: "boolean",
+            description:
+              "Automatically rewrite a cousin import to a module barrel (index file) when exactly one allowed barrel re-exports the imported file. Editor suggestions are offered regardless.",
+            default: false,
+          },
+          baseline: {
+            type: ["string", "object"],
+            description:
+              "JSON file (relative to project root) of known { importer, imported } violations that are not reported. Run ESLint with NO_COUSIN_IMPORTS_UPDATE_BASELINE=1 to write it from the current violations. Entries that no longer occur are reported unless 'reportStale' is false.",
+            properties: {
+              path: { type: "string" },
+              reportStale: { type: "boolean", default: true },
+            },
+            required: ["path"],
+            additionalProperties: false,
+          },
+          typeImports: {
+            type: "string",
+            enum: ["ignore", "check", "checkSeparately"],
+            description:
+              "How to treat type-only imports ('import type', imports whose specifiers are all inline 'type', 'import type x = require()' and import('...') type queries): 'ignore' skips them, 'check' treats them like value imports, 'checkSeparately' checks them but reports cousins with the 'noCousinTypeImports' message.",
+            default: "ignore",
+          },
+          checkRequire: {
+            type: "boolean",
+            description: "Check CommonJS require() calls with a single argument.",
+            default: true,
+          },
+          checkDynamicImport: {
+            type: "boolean",
+            description: "Check dynamic import() expressions.",
+            default: true,
+          },
+          checkReExports: {
+            type: "boolean",
+            description: "Check re-exports ('export { a } from ...' and 'export * from ...').",
+            default: true,
+          },
+          nonLiteralSpecifiers: {
+            type: "string",
+            enum: ["ignore", "report"],
+            description:
+              "What to do with require() or import() calls whose specifier is not a static string (e.g. a template literal with expressions). 'ignore' skips them, 'report' flags them since their boundary cannot be verified.",
+            default: "ignore",
+          },
+          rootDir: {
+            type: ["boolean", "string"],
+            description:
+              "Directory that zones, aliases and other paths are relative to. A path is resolved from ESLint's working directory; true uses the nearest directory above the linted file with a package.json, tsconfig.json or .git. Defaults to ESLint's working directory.",
+          },
+          followSymlinks: {
+            type: "boolean",
+            description:
+              "Resolve symlinks in the project root, the linted file and imported paths before analyzing them, so linked folders and packages (e.g. pnpm's node_modules) are checked where they really are. Off by default, which keeps the paths as written.",
+            default: false,
+          },
+          verbosity: {
             type: "string",
-            description: "Internal testing parameter to override project root detection. Not for production use.",
+            enum: ["short", "verbose"],
+            description:
+              "'short' reports cousin imports with a one-line message, 'verbose' appends the explanation of how to resolve them (existing shared patterns, suggested patterns and an allow rule).",
+            default: "short",
           },
         },
         additionalProperties: false,
       },
     ],
     messages: {
-      noCousins: [
-        "Import from cousin directory '{{importedRelative}}' by '{{importerRelative}}' is not allowed.",
-        "\nThis import crosses module boundaries under the common ancestor: '{{commonAncestorPathString}}'.",
-        "\nTo resolve this, you have a few options:",
-        "1. Reorganize code (Often the preferred architectural solution): Move the shared logic to a common ancestor directory (e.g., within or above '{{commonAncestorPathString}}') or a designated global shared location.",
-        "\n   Your project currently has the following shared patterns defined (patterns are matched relative to the common ancestor of an import):",
-        "{{existingSharedPatternsList}}",
-        "\n2. OR, explicitly allow this import pattern by updating the 'sharedPatterns' option in your ESLint configuration. Based on this specific import, you could consider:",
-        "{{violationSuggestions}}",
-      ].join("\n"),
+      noCousins:
+        "Import from cousin directory '{{importedRelative}}' by '{{importerRelative}}' is not allowed: it crosses module boundaries under '{{commonAncestorPathString}}'. If this dependency is intended, add {{allowRuleSuggestion}} to 'allow'.{{details}}",
+      noCousinsViaAlias:
+        "Aliased import '{{importPath}}' resolves to cousin directory '{{importedRelative}}' of '{{importerRelative}}' and is not allowed: it crosses module boundaries under '{{commonAncestorPathString}}'. If this dependency is intended, add {{allowRuleSuggestion}} to 'allow'.{{details}}",
+      noCrossWorkspaceCousins:
+        "Import '{{importPath}}' reaches into workspace package internals at '{{importedRelative}}' from '{{importerRelative}}' and is not allowed: it crosses module boundaries under '{{commonAncestorPathString}}'. If this dependency is intended, add {{allowRuleSuggestion}} to 'allow'.{{details}}",
+      noCousinTypeImports:
+        "Type-only import from cousin directory '{{importedRelative}}' by '{{importerRelative}}' is not allowed: it crosses module boundaries under '{{commonAncestorPathString}}'. If this dependency is intended, add {{allowRuleSuggestion}} to 'allow'.{{details}}",
+      upwardLayerImport:
+        "Import of '{{importedRelative}}' (layer '{{importedLayer}}') by '{{importerRelative}}' (layer '{{importerLayer}}') is not allowed: layers may only import the layers below them ({{layerOrder}}).",
+      bypassesPublicEntry:
+        "Import of '{{importedRelative}}' by '{{importerRelative}}' reaches past the public entry of module '{{moduleRelative}}'. Import its entry file ({{entryFiles}}) instead.",
+      deepImport:
+        "Import of '{{importedRelative}}' by '{{importerRelative}}' reaches into the internals of module '{{moduleRelative}}': files outside a module may import at most {{maxDepth}} directories below its top level.",
+      useEntryPoint: "Import from the public entry point '{{specifier}}' instead.",
+      deniedDependency:
+        "Import of '{{importedRelative}}' by '{{importerRelative}}' is not allowed by the deny rule {{dependencyRule}}.",
+      workspaceEntryPoint:
+        "Import '{{importPath}}' reaches into workspace package '{{packageName}}' past its declared entry points. Import the package itself or a subpath listed in its package.json 'exports'.",
+      importCycle:
+        "Import of '{{importedRelative}}' by '{{importerRelative}}' closes a dependency cycle between modules: {{cycle}}.",
+      staleBaselineEntry:
+        "Baseline entry '{{importer}}' -> '{{imported}}' no longer occurs. Remove it from '{{baselinePath}}' or regenerate the baseline.",
+      invalidConfiguration: "Invalid no-cousin-imports configuration: {{problem}}",
+      nonLiteralSpecifier:
+        "Import specifier is not a static string, so module boundaries cannot be verified.",
     },
   },
 
   create: (context) => {
     const options = context.options[0] || {};
-    const zones = options.zones || [];
-    const sharedPatternsConfig = options.sharedPatterns || [];
-    const aliasesConfig = options.aliases || {};
-
-    const optimizedSharedPatterns = sharedPatternsConfig.map((pattern) => ({
-      ...pattern,
-      _segments: pattern.pattern.split("/"),
-    }));
+    const checkRequire = options.checkRequire !== false;
+    const checkDynamicImport = options.checkDynamicImport !== false;
+    const checkReExports = options.checkReExports !== false;
+    const nonLiteralSpecifiers = options.nonLiteralSpecifiers || "ignore";
+    const autofix = options.autofix === true;
+    const typeImports = options.typeImports || "ignore";
+    const verbosity = options.verbosity || "short";
 
     // Handle different ESLint versions and context API changes
-    // Support _testProjectRoot for testing environments where context methods may not work properly
-    const projectRoot = options._testProjectRoot ||
-      (typeof context.cwd === "function"
+    const cwd =
+      typeof context.cwd === "function"
         ? context.cwd()
         : typeof context.getCwd === "function"
         ? context.getCwd()
-        : context.cwd || process.cwd());
+        : context.cwd || process.cwd();
+    const filename = getPhysicalFilename(context);
+    const configuredProjectRoot =
+      options.rootDir === true
+        ? (path.isAbsolute(filename) && findProjectRoot(path.dirname(filename))) || cwd
+        : typeof options.rootDir === "string"
+        ? path.resolve(cwd, options.rootDir)
+        : cwd;
+    const projectRoot = toAnalyzedPath(configuredProjectRoot, options);
 
-    if (zones.length === 0) return {};
+    const normalizedOptions = getNormalizedOptions(options, projectRoot);
+    const { zones } = normalizedOptions;
 
-    const importerAbsolutePath = context.filename;
-    const isFileInRuleZone = isPathInRuleZone(importerAbsolutePath, zones, projectRoot);
+    // Configuration problems are reported on every file linted with the config,
+    // so they survive lint caches and long-running editor servers
+    const configurationProblems = normalizedOptions.problems;
 
-    return {
-      ImportDeclaration(node) {
-        const importPathValue = node.source.value;
+    function withConfigurationProblems(visitors) {
+      if (configurationProblems.length === 0) return visitors;
 
-        if (node.importKind === "type") return;
-        // Early exit if file is not in any rule zone
-        if (!isFileInRuleZone) return;
+      return {
+        ...visitors,
+        Program(node) {
+          for (const problem of configurationProblems) {
+            context.report({ node, messageId: "invalidConfiguration", data: { problem } });
+          }
+          if (visitors.Program) visitors.Program(node);
+        },
+      };
+    }
 
-        const resolvedImportAbsolutePath = resolveAliasedPath(
-          importPathValue,
-          importerAbsolutePath,
-          aliasesConfig,
-          projectRoot
-        );
+    if (zones.length === 0) return withConfigurationProblems({});
 
-        if (
-          !path.isAbsolute(resolvedImportAbsolutePath) ||
-          !resolvedImportAbsolutePath.startsWith(projectRoot) ||
-          path.resolve(importerAbsolutePath) ===
-            path.resolve(resolvedImportAbsolutePath)
-        ) {
+    const importerAbsolutePath = toAnalyzedPath(filename, options);
+    const importerDirectory = path.dirname(importerAbsolutePath);
+    const { caches } = normalizedOptions;
+    const zoneCacheKey = normalizedOptions.exceptDirectories.has(importerDirectory)
+      ? importerAbsolutePath
+      : importerDirectory;
+    const zone = caches.zones.get(zoneCacheKey, () =>
+      findRuleZone(importerAbsolutePath, zones, projectRoot)
+    );
+    const isFileInRuleZone = Boolean(zone);
+
+    // Processor blocks of a file record their dependencies separately
+    const { moduleGraph } = normalizedOptions;
+    const importerModule =
+      moduleGraph && isFileInRuleZone ? getModuleName(importerAbsolutePath, zone, projectRoot) : null;
+    if (importerModule !== null) {
+      moduleGraph.resetFile(context.filename);
+    }
+
+    // Zone settings override the global ones
+    const sharedPatternsConfig =
+      (zone && zone.sharedPatterns) || normalizedOptions.sharedPatterns;
+    const optimizedSharedPatterns =
+      (zone && zone._compiledSharedPatterns) || normalizedOptions.compiledSharedPatterns;
+    const zoneDepth = zone
+      ? getPathSegmentsRelativeToRoot(path.resolve(projectRoot, zone.path), projectRoot).length
+      : 0;
+
+    const { allowRules, denyRules } = normalizedOptions;
+    const publicEntryOptions = normalizePublicEntryOptions(options.publicEntry);
+    const noDeepImportsOptions = normalizeNoDeepImportsOptions(options.noDeepImports);
+    const markerOptions = normalizeMarkerOptions(options.markers);
+    const layers = (zone && zone._compiledLayers) || normalizedOptions.layers;
+    const importerLayer =
+      layers.length > 0
+        ? findLayer(getPathSegmentsRelativeToRoot(importerAbsolutePath, projectRoot), layers)
+        : null;
+    const nearCousinLimits = zone
+      ? {
+        minAncestorDepth: [zone.minAncestorDepth, zone.allowDepth, options.minAncestorDepth].find(
+          (value) => value !== undefined
+        ),
+        maxCousinDistance: [zone.maxCousinDistance, options.maxCousinDistance].find(
+          (value) => value !== undefined
+        ),
+      }
+      : {};
+
+    const importResolver = isFileInRuleZone
+      ? createImportResolver(options, importerAbsolutePath, zone, projectRoot)
+      : null;
+    const resolveOptions = importResolver && importResolver.resolveOptions;
+
+    const baselineConfig =
+      typeof options.baseline === "string" ? { path: options.baseline } : options.baseline;
+    const baselinePath =
+      baselineConfig && isFileInRuleZone ? path.resolve(projectRoot, baselineConfig.path) : null;
+    const updateBaseline = baselinePath !== null && isBaselineUpdateMode();
+    const baselineImporter = toPosixPath(path.relative(projectRoot, importerAbsolutePath));
+    const baselineEntries =
+      baselinePath && !updateBaseline ? loadBaseline(baselinePath).get(baselineImporter) : undefined;
+    const occurredBaselineEntries = new Set();
+    const isVirtualBlock = context.filename !== filename;
+    if (updateBaseline) {
+      recordBaselineViolation(baselinePath, projectRoot, baselineImporter, null);
+    }
+
+    function checkImportSource(node, sourceNode, isTypeOnly = false) {
+      // Early exit if file is not in any rule zone
+      if (!isFileInRuleZone || !sourceNode) return;
+      if (isTypeOnly && typeImports === "ignore") return;
+
+      const importPathValue = getStaticSourceValue(sourceNode);
+
+      if (importPathValue === null) {
+        if (nonLiteralSpecifiers === "report") {
+          context.report({ node, messageId: "nonLiteralSpecifier" });
+        }
+        return;
+      }
+
+      const {
+        resolvedPath: resolvedImportAbsolutePath,
+        cause,
+        workspaceImport,
+      } = importResolver.resolveImport(importPathValue);
+
+      let isWorkspaceEntryImport = false;
+      if (workspaceImport) {
+        const { workspacePackage, subpath } = workspaceImport;
+        const isOutsidePackage = !isPathInside(importerAbsolutePath, workspacePackage.directory);
+
+        if (importResolver.workspacesConfig.entryPointsOnly && isOutsidePackage) {
+          // Declared entry points are the package's public API
+          if (
+            !isWorkspaceEntryPoint(workspacePackage, subpath) &&
+            !isSuppressedByBaseline(importPathValue)
+          ) {
+            context.report({
+              node,
+              messageId: "workspaceEntryPoint",
+              data: { importPath: importPathValue, packageName: workspacePackage.name },
+            });
+          }
           return;
         }
 
-        const analysis = analyzeImportRelationship(
-          importerAbsolutePath,
-          resolvedImportAbsolutePath,
-          projectRoot,
-          optimizedSharedPatterns
-        );
+        // The package root and declared subpaths are its public API
+        isWorkspaceEntryImport = isOutsidePackage && isWorkspaceEntryPoint(workspacePackage, subpath);
+      }
 
-        if (
-          analysis.isCousin &&
-          !analysis.isImportTargetShared &&
-          !analysis.isCommonAncestorDirectoryShared
-        ) {
-          const commonAncestorPathString =
-            analysis.commonAncestorPathSegments.join(path.sep) ||
-            "(project root)";
+      if (
+        !path.isAbsolute(resolvedImportAbsolutePath) ||
+        !isPathInside(resolvedImportAbsolutePath, projectRoot) ||
+        toPosixPath(resolvedImportAbsolutePath).split("/").includes("node_modules") ||
+        path.resolve(importerAbsolutePath) ===
+          path.resolve(resolvedImportAbsolutePath)
+      ) {
+        return;
+      }
+
+      if (importerModule !== null && !isTypeOnly) {
+        checkImportCycle(node, resolvedImportAbsolutePath);
+      }
+      if (isWorkspaceEntryImport) return;
+
+      const evaluation = evaluateImport(resolvedImportAbsolutePath);
+      if (!evaluation.isViolation) return;
 
-          const violationSuggestions = generateViolationSuggestions(
+      const { analysis, importerRelative, importedRelative, denyRule, moduleRelative } = evaluation;
+
+      if (denyRule) {
+        if (isSuppressedByBaseline(importedRelative)) return;
+        context.report({
+          node,
+          messageId: "deniedDependency",
+          data: {
+            importerRelative,
+            importedRelative,
+            dependencyRule: formatDependencyRule(denyRule),
+          },
+        });
+        return;
+      }
+
+      if (isSuppressedByBaseline(importedRelative)) return;
+
+      if (evaluation.layerViolation) {
+        context.report({
+          node,
+          messageId: "upwardLayerImport",
+          data: {
+            importerRelative,
+            importedRelative,
+            importPath: importPathValue,
+            cause,
+            ...evaluation.layerViolation,
+            layerOrder: layers.map((layer) => layer.name).join(" → "),
+          },
+        });
+        return;
+      }
+
+      if (evaluation.deepImport) {
+        context.report({
+          node,
+          messageId: "deepImport",
+          data: {
+            importerRelative,
+            importedRelative,
+            importPath: importPathValue,
+            cause,
+            ...evaluation.deepImport,
+          },
+        });
+        return;
+      }
+
+      const commonAncestorPathString =
+        analysis.commonAncestorPathSegments.join("/") ||
+        "(project root)";
+
+      const suggestedAllowRule = suggestAllowRule(
+        analysis.commonAncestorPathSegments,
+        analysis.importerSegmentsAfterAncestor,
+        analysis.importedSegmentsAfterAncestor
+      );
+      const allowRuleSuggestion = formatDependencyRule(suggestedAllowRule);
+
+      const details =
+        verbosity === "verbose"
+          ? formatViolationDetails({
+            commonAncestorPathString,
+            existingSharedPatternsList: getExistingSharedPatternsList(sharedPatternsConfig),
+            violationSuggestions: generateViolationSuggestions(
+              analysis.commonAncestorPathSegments,
+              analysis.importedSegmentsAfterAncestor
+            ),
+            allowRuleSuggestion,
+          })
+          : "";
+
+      const entryPoints = findAllowedEntryPoints(
+        importPathValue,
+        resolvedImportAbsolutePath,
+        analysis
+      );
+      // Only rewrite automatically when exactly one entry point re-exports the
+      // target and it re-exports every name the statement imports
+      const reExportingEntryPoints = entryPoints.filter((entryPoint) => entryPoint.reExports);
+      const importedNames = getImportedNames(node);
+      const autofixEntryPoint =
+        autofix &&
+        importedNames !== null &&
+        reExportingEntryPoints.length === 1 &&
+        importedNames.every(
+          (name) =>
+            reExportingEntryPoints[0].reExports.all ||
+            reExportingEntryPoints[0].reExports.names.includes(name)
+        )
+          ? reExportingEntryPoints[0]
+          : null;
+      const replaceSpecifier = (specifier) => (fixer) =>
+        fixer.replaceText(sourceNode, quoteLike(sourceNode, specifier));
+
+      context.report({
+        node,
+        messageId:
+          isTypeOnly && typeImports === "checkSeparately"
+            ? "noCousinTypeImports"
+            : moduleRelative !== null
+            ? "bypassesPublicEntry"
+            : causeMessageIds[cause],
+        data: {
+          importerRelative,
+          importedRelative,
+          importPath: importPathValue,
+          cause,
+          commonAncestorPathString,
+          commonAncestor: analysis.commonAncestorPathSegments.join("/"),
+          importerSegments: analysis.importerSegmentsAfterAncestor,
+          importedSegments: analysis.importedSegmentsAfterAncestor,
+          cousinDistance: getCousinDistance(analysis),
+          ...(moduleRelative !== null && {
+            moduleRelative,
+            entryFiles: publicEntryOptions.files.map((file) => `'${file}'`).join(", "),
+          }),
+          suggestedPatterns: suggestSharedPatterns(
             analysis.commonAncestorPathSegments,
             analysis.importedSegmentsAfterAncestor
-          );
+          ),
+          suggestedAllowRule,
+          allowRuleSuggestion,
+          details,
+        },
+        ...(entryPoints.length > 0 && {
+          suggest: entryPoints.map(({ specifier }) => ({
+            messageId: "useEntryPoint",
+            data: { specifier },
+            fix: replaceSpecifier(specifier),
+          })),
+        }),
+        ...(autofixEntryPoint && { fix: replaceSpecifier(autofixEntryPoint.specifier) }),
+      });
+    }
+
+    // Records the module dependency and reports it when the imported module
+    // already depends on the importer's module
+    function checkImportCycle(node, resolvedImportAbsolutePath) {
+      const importedZone = findRuleZone(resolvedImportAbsolutePath, zones, projectRoot);
+      if (!importedZone) return;
+
+      const importedModule = getModuleName(resolvedImportAbsolutePath, importedZone, projectRoot);
+      if (importedModule === importerModule) return;
+
+      moduleGraph.addDependency(context.filename, importerModule, importedModule);
+      const cycle = moduleGraph.findPath(importedModule, importerModule);
+      if (!cycle) return;
+
+      const importedRelative = toPosixPath(path.relative(projectRoot, resolvedImportAbsolutePath));
+      if (isSuppressedByBaseline(importedRelative)) return;
+
+      context.report({
+        node,
+        messageId: "importCycle",
+        data: {
+          importerRelative: toPosixPath(path.relative(projectRoot, importerAbsolutePath)),
+          importedRelative,
+          importerModule,
+          importedModule,
+          cycle: [importerModule, ...cycle].join(" → "),
+        },
+      });
+    }
+
+    // Violations listed in the baseline are suppressed; in update mode every
+    // violation is recorded for the new baseline instead of being reported.
+    function isSuppressedByBaseline(imported) {
+      const baselineImported = toPosixPath(imported);
+
+      if (updateBaseline) {
+        recordBaselineViolation(baselinePath, projectRoot, baselineImporter, baselineImported);
+        return true;
+      }
+      if (baselineEntries && baselineEntries.has(baselineImported)) {
+        occurredBaselineEntries.add(baselineImported);
+        return true;
+      }
+      return false;
+    }
+
+    // The relationship only depends on the importer's directory, except for the
+    // importer's file name at the end of its segments
+    function analyzeImport(resolvedImportAbsolutePath) {
+      const analysis = caches.relationships.get(
+        `${importerDirectory}\0${resolvedImportAbsolutePath}`,
+        () =>
+          analyzeImportRelationship(
+            importerAbsolutePath,
+            resolvedImportAbsolutePath,
+            projectRoot,
+            optimizedSharedPatterns
+          )
+      );
+
+      return {
+        ...analysis,
+        importerSegmentsAfterAncestor: [
+          ...analysis.importerSegmentsAfterAncestor.slice(0, -1),
+          path.basename(importerAbsolutePath),
+        ],
+      };
+    }
+
+    // Applies the boundary rules to an import that resolved inside the project.
+    function evaluateImport(resolvedImportAbsolutePath) {
+      const analysis = analyzeImport(resolvedImportAbsolutePath);
+
+      const importedLayer = importerLayer
+        ? findLayer(getPathSegmentsRelativeToRoot(resolvedImportAbsolutePath, projectRoot), layers)
+        : null;
+      const isUpwardLayerImport = Boolean(importedLayer && importedLayer.index < importerLayer.index);
+      // Both sides diverge at their layer directories: a vertical import the layers decide
+      const layerDepth = analysis.commonAncestorPathSegments.length + 1;
+      const isDownwardLayerImport = Boolean(
+        importedLayer &&
+          importedLayer.index > importerLayer.index &&
+          importerLayer.depth === layerDepth &&
+          importedLayer.depth === layerDepth
+      );
+
+      // A file directly in the common ancestor reaching below the top level of
+      // a module there; the directories between are the depth. An index file
+      // stands for its directory, so resolving './auth' to './auth/index.ts'
+      // does not make the import deeper.
+      const importedSegments = analysis.importedSegmentsAfterAncestor;
+      const indexFiles = resolveOptions ? resolveOptions.indexFiles : DEFAULT_INDEX_FILES;
+      const deepImportDepth =
+        importedSegments.length -
+        (indexFiles.includes(stripSourceExtension(importedSegments[importedSegments.length - 1]))
+          ? 3
+          : 2);
+      const isDeepImport = Boolean(
+        noDeepImportsOptions &&
+          analysis.importerSegmentsAfterAncestor.length === 1 &&
+          deepImportDepth > noDeepImportsOptions.maxDepth
+      );
+
+      const importMarkers = markerOptions
+        ? findImportMarkers(projectRoot, analysis, markerOptions)
+        : [];
+      // The outermost boundary directory whose internals the import reaches
+      const boundaryMarker = importMarkers
+        .filter((importMarker) => importMarker.boundary && importMarker.depth > 0)
+        .pop();
+
+      if (!analysis.isCousin && !isUpwardLayerImport && !isDeepImport && !boundaryMarker) {
+        return { isViolation: false, analysis };
+      }
+
+      const importerRelative = toPosixPath(path.relative(projectRoot, importerAbsolutePath));
+      const importedRelative = toPosixPath(path.relative(projectRoot, resolvedImportAbsolutePath));
+
+      // Deny rules win over every exemption, allow rules over the default
+      const denyRule =
+        analysis.isCousin && findDependencyRule(denyRules, importerRelative, importedRelative);
+      if (denyRule) {
+        return { isViolation: true, analysis, importerRelative, importedRelative, denyRule };
+      }
+      if (
+        findDependencyRule(allowRules, importerRelative, importedRelative) ||
+        analysis.isImportTargetShared ||
+        analysis.isCommonAncestorDirectoryShared ||
+        importMarkers.some(
+          (importMarker) =>
+            importMarker.shared ||
+            importMarker._dependentRegExps.some((dependentRegExp) => dependentRegExp.test(importerRelative))
+        )
+      ) {
+        return { isViolation: false, analysis };
+      }
+
+      if (isUpwardLayerImport) {
+        return {
+          isViolation: true,
+          analysis,
+          importerRelative,
+          importedRelative,
+          denyRule: null,
+          layerViolation: { importerLayer: importerLayer.name, importedLayer: importedLayer.name },
+        };
+      }
+
+      const moduleRootPath = path.join(
+        projectRoot,
+        ...analysis.commonAncestorPathSegments,
+        analysis.importedSegmentsAfterAncestor[0]
+      );
+      if (
+        publicEntryOptions &&
+        isPublicEntryImport(resolvedImportAbsolutePath, moduleRootPath, publicEntryOptions)
+      ) {
+        return { isViolation: false, analysis };
+      }
+
+      if (isDeepImport || boundaryMarker) {
+        return {
+          isViolation: true,
+          analysis,
+          importerRelative,
+          importedRelative,
+          denyRule: null,
+          // A boundary marker allows the top level of its directory only
+          deepImport: isDeepImport
+            ? {
+              moduleRelative: toPosixPath(path.relative(projectRoot, moduleRootPath)),
+              depth: deepImportDepth,
+              maxDepth: noDeepImportsOptions.maxDepth,
+            }
+            : {
+              moduleRelative: toPosixPath(path.relative(projectRoot, boundaryMarker.directory)),
+              depth: boundaryMarker.depth,
+              maxDepth: 0,
+            },
+        };
+      }
+
+      if (
+        isDownwardLayerImport ||
+        isNearCousin(analysis, analysis.commonAncestorPathSegments.length - zoneDepth, nearCousinLimits)
+      ) {
+        return { isViolation: false, analysis };
+      }
+
+      const moduleRelative = publicEntryOptions
+        ? toPosixPath(path.relative(projectRoot, moduleRootPath))
+        : null;
+
+      return {
+        isViolation: true,
+        analysis,
+        importerRelative,
+        importedRelative,
+        denyRule: null,
+        moduleRelative,
+      };
+    }
+
+    // Barrels between the imported file and the root of its module, nearest
+    // first, plus barrels of shared folders under the common ancestor that
+    // re-export the target, as long as importing them would be allowed.
+    function findAllowedEntryPoints(importPathValue, resolvedImportAbsolutePath, analysis) {
+      const barrelOptions = resolveOptions || normalizeResolveOptions(true, projectRoot);
+      const commonAncestorPath = path.join(projectRoot, ...analysis.commonAncestorPathSegments);
+      const moduleRootPath = path.join(commonAncestorPath, analysis.importedSegmentsAfterAncestor[0]);
+
+      const candidates = [];
+      for (
+        let directory = path.dirname(resolvedImportAbsolutePath);
+        isPathInside(directory, moduleRootPath);
+        directory = path.dirname(directory)
+      ) {
+        candidates.push({ directory, isShared: false });
+      }
+      for (const { pattern, type, _regExp } of optimizedSharedPatterns) {
+        if (type === "folder" && !_regExp && !pattern.includes("/")) {
+          candidates.push({ directory: path.join(commonAncestorPath, pattern), isShared: true });
+        }
+      }
+
+      const entryPoints = [];
+      for (const { directory, isShared } of candidates) {
+        const barrelFile = findIndexFile(directory, barrelOptions);
+        if (!barrelFile || barrelFile === resolvedImportAbsolutePath) continue;
+
+        const reExports = barrelReExports(barrelFile, resolvedImportAbsolutePath);
+        if (isShared && !reExports) continue;
+
+        // Analyze the barrel the way the rewritten import would be analyzed
+        if (evaluateImport(resolveOptions ? barrelFile : directory).isViolation) continue;
+
+        const specifier =
+          (!importPathValue.startsWith(".") &&
+            toAliasSpecifier(directory, importPathValue, importResolver.aliases, projectRoot)) ||
+          toRelativeSpecifier(path.dirname(importerAbsolutePath), directory);
+        if (!entryPoints.some((entryPoint) => entryPoint.specifier === specifier)) {
+          entryPoints.push({ specifier, reExports });
+        }
+      }
+
+      return entryPoints;
+    }
+
+    function quoteLike(sourceNode, specifier) {
+      const sourceCode = context.sourceCode || context.getSourceCode();
+      const quote = sourceCode.getText(sourceNode)[0];
+      return `${quote}${specifier}${quote}`;
+    }
+
+    const visitors = {
+      ImportDeclaration(node) {
+        checkImportSource(node, node.source, isTypeOnlyImport(node));
+      },
+
+      ExportNamedDeclaration(node) {
+        if (!checkReExports) return;
+        checkImportSource(node, node.source, isTypeOnlyExport(node));
+      },
 
-          const existingSharedPatternsList =
-            formatExistingSharedPatterns(sharedPatternsConfig);
+      ExportAllDeclaration(node) {
+        if (!checkReExports) return;
+        checkImportSource(node, node.source, isTypeOnlyExport(node));
+      },
+
+      // TypeScript: import x = require('...')
+      TSImportEqualsDeclaration(node) {
+        if (node.moduleReference.type !== "TSExternalModuleReference") return;
+        checkImportSource(node, node.moduleReference.expression, node.importKind === "type");
+      },
+
+      // TypeScript: type T = import('...').Name
+      TSImportType(node) {
+        const sourceNode = node.source || (node.argument && node.argument.literal);
+        checkImportSource(node, sourceNode, true);
+      },
+
+      ImportExpression(node) {
+        if (!checkDynamicImport) return;
+        checkImportSource(node, node.source);
+      },
+
+      CallExpression(node) {
+        if (!checkRequire || !isRequireCall(node)) return;
+        checkImportSource(node, node.arguments[0]);
+      },
+
+      "Program:exit"(node) {
+        // Each processor block sees only part of the file's imports
+        if (!baselineEntries || baselineConfig.reportStale === false || isVirtualBlock) return;
 
+        for (const imported of baselineEntries) {
+          if (occurredBaselineEntries.has(imported)) continue;
           context.report({
             node,
-            messageId: "noCousins",
+            messageId: "staleBaselineEntry",
             data: {
-              importerRelative: path.relative(
-                projectRoot,
-                importerAbsolutePath
-              ),
-              importedRelative: path.relative(
-                projectRoot,
-                resolvedImportAbsolutePath
-              ),
-              commonAncestorPathString: commonAncestorPathString,
-              existingSharedPatternsList: existingSharedPatternsList,
-              violationSuggestions: violationSuggestions,
+              importer: baselineImporter,
+              imported,
+              baselinePath: toPosixPath(path.relative(projectRoot, baselinePath)),
             },
           });
         }
       },
     };
+
+    // vue-eslint-parser keeps <template> expressions out of the script AST;
+    // they are visited on Program, so before the stale baseline check
+    const sourceCode =
+      context.sourceCode || (typeof context.getSourceCode === "function" && context.getSourceCode());
+    const parserServices = sourceCode && sourceCode.parserServices;
+    if (parserServices && typeof parserServices.defineTemplateBodyVisitor === "function") {
+      return withConfigurationProblems(
+        parserServices.defineTemplateBodyVisitor(
+          { ImportExpression: visitors.ImportExpression, CallExpression: visitors.CallExpression },
+          visitors,
+          { templateBodyTriggerSelector: "Program" }
+        )
+      );
+    }
+
+    return withConfigurationProblems(visitors);
   },
 };
 
+// Analysis helpers shared with the dependency report (src/report.js)
+module.exports.helpers = {
+  getNormalizedOptions,
+  createImportResolver,
+  toAnalyzedPath,
+  isDirectory,
+  resolveAliasedPath,
+  loadTsconfigAliases,
+  findTsconfig,
+  getPathSegmentsRelativeToRoot,
+  findRuleZone,
+  getModuleName,
+  compileSharedPattern,
+  analyzeImportRelationship,
+  isTypeOnlyImport,
+  isTypeOnlyExport,
+  isRequireCall,
+  getStaticSourceValue,
+  isPathInside,
+  resolveRealPath,
+  toPosixPath,
+};
+
 // For testing purposes only - these exports won't interfere with ESLint
 if (
   typeof module !== "undefined" &&
@@ -395,12 +2934,70 @@ if (
   process.env.NODE_ENV === "test"
 ) {
   module.exports.internals = {
+    matchAliasPattern,
+    findBestAliasMatch,
     resolveAliasedPath,
+    parseJsonWithComments,
+    loadTsconfigAliases,
+    findTsconfig,
+    clearTsconfigCaches,
+    findProjectRoot,
+    clearProjectRootCache,
+    normalizeResolveOptions,
+    resolveWithCustomResolver,
+    getPackageEntry,
+    resolveToFile,
+    findIndexFile,
+    toRelativeSpecifier,
+    toAliasSpecifier,
+    barrelReExports,
+    parsePnpmWorkspacePackages,
+    loadWorkspacePackages,
+    clearWorkspaceCache,
+    findWorkspacePackage,
+    isWorkspaceEntryPoint,
+    resolveWorkspaceExport,
+    normalizePublicEntryOptions,
+    normalizeNoDeepImportsOptions,
+    normalizeMarkerOptions,
+    readDirectoryMarkers,
+    findImportMarkers,
+    clearMarkerCache,
+    isPublicEntryImport,
+    loadBaseline,
+    mergeBaselineUpdate,
+    flushBaselineUpdates,
+    clearBaselineCaches,
+    normalizeOptions,
+    getNormalizedOptions,
+    createBoundedCache,
     getPathSegmentsRelativeToRoot,
-    isPathInRuleZone,
+    getPhysicalFilename,
+    isPathInside,
+    resolveRealPath,
+    toPosixPath,
+    findRuleZone,
+    getModuleName,
+    createModuleGraph,
+    globToRegExpSource,
+    compileSharedPattern,
     matchesSharedPattern,
+    isTypeOnlyImport,
+    isTypeOnlyExport,
+    isRequireCall,
+    getStaticSourceValue,
     analyzeImportRelationship,
+    getCousinDistance,
+    isNearCousin,
+    suggestSharedPatterns,
     generateViolationSuggestions,
+    formatViolationDetails,
+    compileDependencyRules,
+    findDependencyRule,
+    compileLayers,
+    findLayer,
+    formatDependencyRule,
+    suggestAllowRule,
     formatExistingSharedPatterns,
   };
 }
@@ -0,0 +1,331 @@
+const fs = require("fs");
+const path = require("path");
+const { Linter } = require("eslint");
+const rule = require("./no-cousin-imports");
+
+const {
+  getNormalizedOptions,
+  createImportResolver,
+  toAnalyzedPath,
+  findRuleZone,
+  getModuleName,
+  analyzeImportRelationship,
+  isTypeOnlyImport,
+  isTypeOnlyExport,
+  isRequireCall,
+  getStaticSourceValue,
+  isPathInside,
+  toPosixPath,
+} = rule.helpers;
+
+const SOURCE_EXTENSIONS = [".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx", ".mts", ".cts"];
+const TYPESCRIPT_EXTENSIONS = [".ts", ".tsx", ".mts", ".cts"];
+
+// Rule messages that mean an import breaks the configured boundaries
+const VIOLATION_MESSAGE_IDS = new Set([
+  "noCousins",
+  "noCousinsViaAlias",
+  "noCrossWorkspaceCousins",
+  "noCousinTypeImports",
+  "deniedDependency",
+  "upwardLayerImport",
+  "bypassesPublicEntry",
+  "deepImport",
+  "workspaceEntryPoint",
+]);
+
+function listSourceFiles(directory) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    if (entry.name.startsWith(".") || entry.name === "node_modules") continue;
+
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listSourceFiles(entryPath));
+    } else if (SOURCE_EXTENSIONS.includes(path.extname(entry.name))) {
+      files.push(entryPath);
+    }
+  }
+
+  return files.sort();
+}
+
+// TypeScript files are parsed with @typescript-eslint/parser when the project has it
+function loadTypeScriptParser(projectRoot) {
+  try {
+    return require(require.resolve("@typescript-eslint/parser", { paths: [projectRoot, __dirname] }));
+  } catch {
+    return null;
+  }
+}
+
+// Lints a file with the rule and a collector that records every import with a
+// static specifier, so edges can be matched to the violations at their location.
+function lintFile(filePath, projectRoot, options, typescriptParser) {
+  const imports = [];
+  const typeImports = options.typeImports || "ignore";
+
+  const collectImports = {
+    create() {
+      function record(node, sourceNode, isTypeOnly = false) {
+        if (!sourceNode || (isTypeOnly && typeImports === "ignore")) return;
+
+        const specifier = getStaticSourceValue(sourceNode);
+        if (specifier === null) return;
+
+        imports.push({ specifier, line: node.loc.start.line, column: node.loc.start.column + 1 });
+      }
+
+      return {
+        ImportDeclaration(node) {
+          record(node, node.source, isTypeOnlyImport(node));
+        },
+        ExportNamedDeclaration(node) {
+          if (options.checkReExports === false) return;
+          record(node, node.source, isTypeOnlyExport(node));
+        },
+        ExportAllDeclaration(node) {
+          if (options.checkReExports === false) return;
+          record(node, node.source, isTypeOnlyExport(node));
+        },
+        TSImportEqualsDeclaration(node) {
+          if (node.moduleReference.type !== "TSExternalModuleReference") return;
+          record(node, node.moduleReference.expression, node.importKind === "type");
+        },
+        TSImportType(node) {
+          record(node, node.source || (node.argument && node.argument.literal), true);
+        },
+        ImportExpression(node) {
+          if (options.checkDynamicImport === false) return;
+          record(node, node.source);
+        },
+        CallExpression(node) {
+          if (options.checkRequire === false || !isRequireCall(node)) return;
+          record(node, node.arguments[0]);
+        },
+      };
+    },
+  };
+
+  const isTypeScript = TYPESCRIPT_EXTENSIONS.includes(path.extname(filePath));
+  const messages = new Linter({ cwd: projectRoot }).verify(
+    fs.readFileSync(filePath, "utf8"),
+    [
+      {
+        files: SOURCE_EXTENSIONS.map((extension) => `**/*${extension}`),
+        languageOptions: {
+          ecmaVersion: "latest",
+          sourceType: "module",
+          ...(isTypeScript && typescriptParser && { parser: typescriptParser }),
+        },
+        plugins: {
+          "no-cousin-imports": {
+            rules: { "no-cousin-imports": rule, "collect-imports": collectImports },
+          },
+        },
+        rules: {
+          "no-cousin-imports/no-cousin-imports": ["error", options],
+          "no-cousin-imports/collect-imports": "error",
+        },
+      },
+    ],
+    filePath
+  );
+
+  const fatalMessage = messages.find((message) => message.fatal);
+  if (fatalMessage) {
+    return { imports: [], violations: new Map(), error: fatalMessage.message };
+  }
+
+  const violations = new Map();
+  for (const message of messages) {
+    if (VIOLATION_MESSAGE_IDS.has(message.messageId)) {
+      violations.set(`${message.line}:${message.column}`, message.messageId);
+    }
+  }
+
+  return { imports, violations, error: null };
+}
+
+// Walks the given directories and aggregates the imports between modules of
+// the configured zones into edges, flagged with the rule's verdict.
+function buildDependencyGraph(configuredProjectRoot, directories, options) {
+  const projectRoot = toAnalyzedPath(configuredProjectRoot, options);
+  const normalizedOptions = getNormalizedOptions(options, projectRoot);
+  const { zones } = normalizedOptions;
+  const typescriptParser = loadTypeScriptParser(projectRoot);
+  const files = directories.flatMap((directory) =>
+    listSourceFiles(path.resolve(projectRoot, directory))
+  );
+
+  const modules = new Set();
+  const edges = new Map();
+  const errors = [];
+
+  for (const filePath of files) {
+    const zone = findRuleZone(filePath, zones, projectRoot);
+    if (!zone) continue;
+
+    const importerModule = getModuleName(filePath, zone, projectRoot);
+    modules.add(importerModule);
+
+    const { imports, violations, error } = lintFile(filePath, projectRoot, options, typescriptParser);
+    if (error) {
+      errors.push({ file: toPosixPath(path.relative(projectRoot, filePath)), message: error });
+      continue;
+    }
+
+    const { resolveImport } = createImportResolver(options, filePath, zone, projectRoot);
+    const sharedPatterns = zone._compiledSharedPatterns || normalizedOptions.compiledSharedPatterns;
+
+    for (const { specifier, line, column } of imports) {
+      const importedPath = resolveImport(specifier).resolvedPath;
+      if (
+        !path.isAbsolute(importedPath) ||
+        !isPathInside(importedPath, projectRoot) ||
+        toPosixPath(importedPath).split("/").includes("node_modules")
+      ) {
+        continue;
+      }
+
+      const importedZone = findRuleZone(importedPath, zones, projectRoot);
+      if (!importedZone) continue;
+
+      const importedModule = getModuleName(importedPath, importedZone, projectRoot);
+      if (importedModule === importerModule) continue;
+      modules.add(importedModule);
+
+      const analysis = analyzeImportRelationship(filePath, importedPath, projectRoot, sharedPatterns);
+      const messageId = violations.get(`${line}:${column}`) || null;
+
+      const edgeKey = `${importerModule}\0${importedModule}`;
+      if (!edges.has(edgeKey)) {
+        edges.set(edgeKey, {
+          from: importerModule,
+          to: importedModule,
+          imports: 0,
+          cousinImports: 0,
+          violations: 0,
+          details: [],
+        });
+      }
+
+      const edge = edges.get(edgeKey);
+      edge.imports++;
+      if (analysis.isCousin) edge.cousinImports++;
+      if (messageId) edge.violations++;
+      edge.details.push({
+        importer: toPosixPath(path.relative(projectRoot, filePath)),
+        imported: toPosixPath(path.relative(projectRoot, importedPath)),
+        specifier,
+        line,
+        cousin: analysis.isCousin,
+        messageId,
+      });
+    }
+  }
+
+  return {
+    projectRoot,
+    files: files.length,
+    modules: [...modules].sort(),
+    edges: [...edges.values()].sort(
+      (a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to)
+    ),
+    errors,
+  };
+}
+
+function formatColumns(rows) {
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => String(row[column]).length))
+  );
+
+  return rows
+    .map((row) => row.map((cell, column) => String(cell).padEnd(widths[column])).join("  ").trimEnd())
+    .join("\n");
+}
+
+function formatTable(graph) {
+  if (graph.edges.length === 0) {
+    return `No imports between modules (${graph.files} files, ${graph.modules.length} modules).\n`;
+  }
+
+  const edgeRows = graph.edges.map((edge) => [
+    edge.from,
+    edge.to,
+    edge.imports,
+    edge.cousinImports,
+    edge.violations,
+  ]);
+
+  const moduleRows = graph.modules.map((moduleName) => {
+    const outgoing = graph.edges.filter((edge) => edge.from === moduleName);
+    const incoming = graph.edges.filter((edge) => edge.to === moduleName);
+    const sum = (key) => outgoing.reduce((total, edge) => total + edge[key], 0);
+    return [moduleName, outgoing.length, incoming.length, sum("cousinImports"), sum("violations")];
+  });
+
+  const violatingEdges = graph.edges.filter((edge) => edge.violations > 0).length;
+
+  return [
+    formatColumns([["From", "To", "Imports", "Cousin", "Violations"], ...edgeRows]),
+    "",
+    formatColumns([["Module", "Depends on", "Used by", "Cousin", "Violations"], ...moduleRows]),
+    "",
+    `${graph.files} files, ${graph.modules.length} modules, ${graph.edges.length} edges, ${violatingEdges} violating.`,
+    "",
+  ].join("\n");
+}
+
+function formatJson(graph) {
+  return `${JSON.stringify(graph, null, 2)}\n`;
+}
+
+function formatDot(graph) {
+  const lines = ["digraph dependencies {", "  rankdir=LR;", "  node [shape=box];"];
+
+  for (const moduleName of graph.modules) {
+    lines.push(`  ${JSON.stringify(moduleName)};`);
+  }
+  for (const edge of graph.edges) {
+    const attributes = [`label="${edge.imports}"`];
+    if (edge.violations > 0) attributes.push("color=red", "fontcolor=red");
+    else if (edge.cousinImports > 0) attributes.push("style=dashed");
+    lines.push(`  ${JSON.stringify(edge.from)} -> ${JSON.stringify(edge.to)} [${attributes.join(", ")}];`);
+  }
+
+  lines.push("}");
+  return `${lines.join("\n")}\n`;
+}
+
+function formatMermaid(graph) {
+  const nodeIds = new Map(graph.modules.map((moduleName, index) => [moduleName, `m${index}`]));
+  const lines = ["graph LR"];
+
+  for (const [moduleName, nodeId] of nodeIds) {
+    lines.push(`  ${nodeId}["${moduleName.replace(/"/g, "#quot;")}"]`);
+  }
+  graph.edges.forEach((edge) => {
+    const arrow = edge.cousinImports > 0 && edge.violations === 0 ? "-.->" : "-->";
+    lines.push(`  ${nodeIds.get(edge.from)} ${arrow}|${edge.imports}| ${nodeIds.get(edge.to)}`);
+  });
+  graph.edges.forEach((edge, index) => {
+    if (edge.violations > 0) lines.push(`  linkStyle ${index} stroke:red,color:red`);
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+const formatters = {
+  table: formatTable,
+  json: formatJson,
+  dot: formatDot,
+  mermaid: formatMermaid,
+};
+
+module.exports = {
+  buildDependencyGraph,
+  formatters,
+};
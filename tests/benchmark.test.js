@@ -0,0 +1,149 @@
+const path = require("path");
+const { ESLint } = require("eslint");
+const rule = require("../src/no-cousin-imports");
+
+const { getNormalizedOptions } = rule.internals;
+
+const mockProjectRoot = "/mock/project";
+const FEATURES = 20;
+const FILES_PER_FEATURE = 25;
+
+// A synthetic project where every file of a feature imports the same modules:
+// a cousin in the next feature, a shared helper and two modules of its own
+function createBenchmarkProject() {
+  const files = [];
+
+  for (let feature = 0; feature < FEATURES; feature++) {
+    const nextFeature = (feature + 1) % FEATURES;
+    for (let file = 0; file < FILES_PER_FEATURE; file++) {
+      files.push({
+        filename: path.join(mockProjectRoot, `src/features/feature${feature}/ui/view${file}.js`),
+        code: [
+          `import { model } from '../../feature${nextFeature}/model/state';`,
+          "import { format } from '../../shared/format';",
+          "import { helper } from './lib/helper';",
+          "import { Button } from './button';",
+        ].join("\n"),
+      });
+    }
+  }
+
+  return files;
+}
+
+// Lints like the CLI does, so all files share the rule options of one config,
+// and returns the options the rule received to look up its caches
+const lintProject = async (options, files = createBenchmarkProject()) => {
+  let ruleOptions;
+  const recordingRule = {
+    ...rule,
+    create(context) {
+      ruleOptions = context.options[0];
+      return rule.create(context);
+    },
+  };
+
+  const eslint = new ESLint({
+    cwd: mockProjectRoot,
+    overrideConfigFile: true,
+    overrideConfig: {
+      languageOptions: { ecmaVersion: 2020, sourceType: "module" },
+      plugins: { "no-cousin-imports": { rules: { "no-cousin-imports": recordingRule } } },
+      rules: { "no-cousin-imports/no-cousin-imports": ["error", options] },
+    },
+  });
+
+  const messages = [];
+  for (const { filename, code } of files) {
+    const [result] = await eslint.lintText(code, { filePath: filename });
+    messages.push(...result.messages.map((message) => ({ ...message, filename })));
+  }
+  return { messages, ruleOptions };
+};
+
+describe("Benchmark: caching across files", () => {
+  const options = {
+    zones: [{ path: "src/features" }],
+    sharedPatterns: [{ pattern: "shared", type: "folder" }],
+    rootDir: mockProjectRoot,
+  };
+  let messages;
+  let caches;
+
+  beforeAll(async () => {
+    const result = await lintProject(options);
+    messages = result.messages;
+    ({ caches } = getNormalizedOptions(result.ruleOptions, mockProjectRoot));
+  });
+
+  test("reports every cousin import", () => {
+    expect(messages).toHaveLength(FEATURES * FILES_PER_FEATURE);
+    expect(messages.every((message) => message.messageId === "noCousins")).toBe(true);
+  });
+
+  test("looks up the zone once per directory", () => {
+    expect(caches.zones.misses).toBe(FEATURES);
+    expect(caches.zones.hits).toBe(FEATURES * (FILES_PER_FEATURE - 1));
+  });
+
+  test("resolves each specifier once per directory", () => {
+    expect(caches.resolutions.misses).toBe(FEATURES * 4);
+    expect(caches.resolutions.hits).toBe(FEATURES * (FILES_PER_FEATURE - 1) * 4);
+  });
+
+  test("analyzes each imported path once per directory", () => {
+    expect(caches.relationships.misses).toBe(FEATURES * 4);
+    expect(caches.relationships.hits).toBe(FEATURES * (FILES_PER_FEATURE - 1) * 4);
+  });
+
+  test("reports the importer's own file name from cached analyses", () => {
+    const [first, last] = [messages[0], messages[messages.length - 1]];
+    expect(first.message).toContain("feature0/ui/view0.js");
+    expect(last.message).toContain(`feature${FEATURES - 1}/ui/view${FILES_PER_FEATURE - 1}.js`);
+  });
+});
+
+describe("Zone cache with file exceptions", () => {
+  const options = {
+    zones: [{ path: "src", except: ["moduleA/sub/legacy.js"] }],
+    rootDir: mockProjectRoot,
+  };
+  const [other, legacy] = ["other.js", "legacy.js"].map((file) => ({
+    filename: path.join(mockProjectRoot, "src/moduleA/sub", file),
+    code: "import { internal } from '../../moduleB/internal';",
+  }));
+
+  test.each([
+    ["the excepted file last", [other, legacy]],
+    ["the excepted file first", [legacy, other]],
+  ])("only exempts the excepted file when linting %s", async (_, files) => {
+    const { messages } = await lintProject(options, files);
+    expect(messages.map(({ filename }) => filename)).toEqual([other.filename]);
+  });
+});
+
+describe("createBoundedCache", () => {
+  const { createBoundedCache } = rule.internals;
+
+  test("computes missing entries once", () => {
+    const cache = createBoundedCache(10);
+    const compute = jest.fn(() => "value");
+
+    expect(cache.get("key", compute)).toBe("value");
+    expect(cache.get("key", compute)).toBe("value");
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(cache).toMatchObject({ hits: 1, misses: 1, size: 1 });
+  });
+
+  test("drops the least recently used entry", () => {
+    const cache = createBoundedCache(2);
+    cache.get("a", () => 1);
+    cache.get("b", () => 2);
+    cache.get("a", () => 1);
+    cache.get("c", () => 3);
+
+    expect(cache.size).toBe(2);
+    expect(cache.get("a", () => "recomputed")).toBe(1);
+    expect(cache.get("b", () => "recomputed")).toBe("recomputed");
+  });
+});
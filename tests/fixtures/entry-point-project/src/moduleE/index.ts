@@ -0,0 +1,3 @@
+// export { helper } from "./internal/helpers";
+/* export * from "./internal/helpers"; */
+export const usage = "export { helper } from './internal/helpers'";
@@ -0,0 +1,2 @@
+export * from "../moduleD/parse";
+export * from "../moduleC/internal/format.ts";
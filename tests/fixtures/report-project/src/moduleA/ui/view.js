@@ -0,0 +1,6 @@
+import { format } from "../../moduleB/format";
+import { parse } from "@/moduleC/parse";
+import { log } from "../../shared/log";
+import { helper } from "../helper";
+
+export const view = (value) => log(format(parse(helper(value))));
@@ -0,0 +1,3 @@
+const { log } = require("../shared/log");
+
+module.exports = { format: (value) => log(String(value)) };
@@ -0,0 +1 @@
+export const parse = (value) => import("../moduleB/format").then(() => value);
@@ -0,0 +1,14 @@
+const path = require("path");
+
+// Minimal eslint-import-resolver (interface version 2) for the tests
+exports.interfaceVersion = 2;
+
+exports.resolve = (source, _file, config) => {
+  if (source === "@acme/ui") {
+    return { found: true, path: path.join(__dirname, config.packagesDir || "packages", "ui") };
+  }
+  if (source === "some-package") {
+    return { found: true, path: path.join(__dirname, "node_modules", "some-package", "index.js") };
+  }
+  return { found: false };
+};
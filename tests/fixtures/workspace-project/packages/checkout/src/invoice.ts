@@ -0,0 +1,6 @@
+import { billing } from "@acme/billing";
+import { internal } from "@acme/billing/src/internal";
+
+export type Internal = import("@acme/billing/src/internal").Internal;
+
+export const invoice = { billing, internal };
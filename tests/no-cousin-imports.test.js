@@ -1,6 +1,9 @@
+const fs = require("fs");
+const os = require("os");
 const path = require("path");
-const { RuleTester } = require("eslint");
+const { Linter, RuleTester } = require("eslint");
 const rule = require("../src/no-cousin-imports");
+const { buildDependencyGraph, formatters } = require("../src/report");
 
 const ruleTester = new RuleTester({
   languageOptions: {
@@ -8,6 +11,29 @@ const ruleTester = new RuleTester({
   },
 });
 
+const tsRuleTester = new RuleTester({
+  languageOptions: {
+    parser: require("@typescript-eslint/parser"),
+  },
+});
+
+// Single-file components
+const vueRuleTester = new RuleTester({
+  languageOptions: {
+    parser: require("vue-eslint-parser"),
+    parserOptions: { ecmaVersion: 2022, sourceType: "module" },
+  },
+});
+const svelteRuleTester = new RuleTester({
+  languageOptions: { parser: require("svelte-eslint-parser") },
+});
+const astroRuleTester = new RuleTester({
+  languageOptions: {
+    parser: require("astro-eslint-parser"),
+    parserOptions: { ecmaVersion: 2022, sourceType: "module" },
+  },
+});
+
 // Mock project structure for testing
 const mockProjectRoot = "/mock/project";
 const originalCwd = process.cwd;
@@ -16,6 +42,23 @@ const originalCwd = process.cwd;
 const createAbsolutePath = (relativePath) =>
   path.join(mockProjectRoot, relativePath);
 
+// Paths in the on-disk fixture projects under tests/fixtures
+const fixturePath = (fixtureName, relativePath = "") =>
+  path.join(__dirname, "fixtures", fixtureName, relativePath);
+
+// tsconfig/jsconfig loading
+const tsconfigProjectRoot = fixturePath("tsconfig-project");
+// Resolving imports to concrete files
+const resolveProjectRoot = fixturePath("resolve-project");
+// npm and pnpm workspaces
+const workspaceProjectRoot = fixturePath("workspace-project");
+const pnpmProjectRoot = fixturePath("pnpm-project");
+const baselineFixturePath = fixturePath("baseline", "baseline.json");
+// Shared and boundary marker files
+const markerProjectRoot = fixturePath("marker-project");
+// Module barrels and a shared barrel
+const entryPointProjectRoot = fixturePath("entry-point-project");
+
 describe("ESLint Rule: no-cousin-imports", () => {
   beforeAll(() => {
     process.cwd = () => mockProjectRoot;
@@ -32,33 +75,40 @@ describe("ESLint Rule: no-cousin-imports", () => {
       {
         code: "import { something } from '../cousin/module';",
         filename: createAbsolutePath("src/moduleA/file.js"),
-        options: [{ _testProjectRoot: mockProjectRoot }],
+        options: [{ rootDir: mockProjectRoot }],
       },
 
       // File outside configured zones
       {
         code: "import { something } from '../cousin/module';",
         filename: createAbsolutePath("outside/file.js"),
-        options: [{ zones: [{ path: "src" }], _testProjectRoot: mockProjectRoot }],
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
+      },
+
+      // A directory whose name extends the project root's is outside the project
+      {
+        code: "import { something } from '../../../project-legacy/src/moduleB/file';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
       },
 
       // Same directory import
       {
         code: "import { something } from './sibling';",
         filename: createAbsolutePath("src/moduleA/file.js"),
-        options: [{ zones: [{ path: "src" }], _testProjectRoot: mockProjectRoot }],
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
       },
 
       // Parent/child imports
       {
         code: "import { something } from '../parent';",
         filename: createAbsolutePath("src/moduleA/file.js"),
-        options: [{ zones: [{ path: "src" }], _testProjectRoot: mockProjectRoot }],
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
       },
       {
         code: "import { something } from './child/module';",
         filename: createAbsolutePath("src/moduleA/file.js"),
-        options: [{ zones: [{ path: "src" }], _testProjectRoot: mockProjectRoot }],
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
       },
 
       // Shared patterns - folder
@@ -69,7 +119,7 @@ describe("ESLint Rule: no-cousin-imports", () => {
           {
             zones: [{ path: "src" }],
             sharedPatterns: [{ pattern: "shared", type: "folder" }],
-            _testProjectRoot: mockProjectRoot,
+            rootDir: mockProjectRoot,
           },
         ],
       },
@@ -82,7 +132,282 @@ describe("ESLint Rule: no-cousin-imports", () => {
           {
             zones: [{ path: "src" }],
             sharedPatterns: [{ pattern: "constants", type: "file" }],
-            _testProjectRoot: mockProjectRoot,
+            rootDir: mockProjectRoot,
+          },
+        ],
+      },
+
+      // Shared patterns - globs and regex
+      {
+        code: "import { User } from '../moduleB/models/user.types.ts';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            sharedPatterns: [{ pattern: "**/*.types.ts", type: "file" }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+      },
+      {
+        code: "import { LIMIT } from '../moduleB/constants.js';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            sharedPatterns: [{ pattern: "constants.*", type: "file" }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+      },
+      {
+        code: "import { Button } from '../shared-ui/Button';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            sharedPatterns: [{ pattern: "{shared,common}*", type: "folder" }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+      },
+      {
+        code: "import { fixture } from '../moduleB/__fixtures__/user';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            sharedPatterns: [{ pattern: "(^|/)__\\w+__/", type: "regex" }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+      },
+      {
+        code: "import { something } from '../moduleB/component';",
+        filename: createAbsolutePath("src/shared-modules/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            sharedPatterns: [{ pattern: "shared-*", type: "folder" }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+      },
+
+      // Baselined violation
+      {
+        code: "import { something } from '../moduleB/component';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            baseline: { path: baselineFixturePath, reportStale: false },
+            rootDir: mockProjectRoot,
+          },
+        ],
+      },
+
+      // Per-zone configuration
+      {
+        code: "import { something } from '../moduleB/component';",
+        filename: createAbsolutePath("src/legacy/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src" }, { path: "src/legacy", allowDepth: 0 }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+      },
+      {
+        code: "import { useCart } from '../hooks/useCart';",
+        filename: createAbsolutePath("src/features/checkout/components/Summary.js"),
+        options: [
+          {
+            zones: [{ path: "src/features", allowDepth: 1 }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+      },
+      // Layers may import the layers below them
+      ...[
+        ["src/features/checkout/ui/Cart.js", "import { cart } from '../domain/cart';"],
+        ["src/ui/pages/Home.js", "import { user } from '../../domain/user';"],
+        ["src/features/checkout/ui/Cart.js", "import { db } from '../infra/db';"],
+        ["src/features/checkout/domain/cart.js", "import { Button } from '../../shared/ui/Button';"],
+      ].map(([filename, code]) => ({
+        code,
+        filename: createAbsolutePath(filename),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            layers: ["ui", "domain", "infra"],
+            sharedPatterns: [{ pattern: "shared", type: "folder" }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+      })),
+      {
+        code: "import { client } from '../../lib/http/client';",
+        filename: createAbsolutePath("src/app/routes/index.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            layers: [{ name: "app", path: "src/app" }, { name: "lib", path: "src/lib" }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+      },
+
+      // Public entries of sibling modules
+      ...[
+        "import { something } from '../moduleB/index';",
+        "import { something } from '../moduleB/index.js';",
+        "import { something } from '../moduleB/index.d.ts';",
+      ].map((code) => ({
+        code,
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], publicEntry: true, rootDir: mockProjectRoot }],
+      })),
+      {
+        code: "import { something } from '../moduleB/main';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [
+          { zones: [{ path: "src" }], publicEntry: { files: ["main", "index"] }, rootDir: mockProjectRoot },
+        ],
+      },
+      // package.json exports subpaths and targets
+      ...[
+        "import { invoices } from '../../billing/api/invoices';",
+        "import { billing } from '../../billing/src/index';",
+      ].map((code) => ({
+        code,
+        filename: fixturePath("workspace-project", "packages/checkout/src/cart.ts"),
+        options: [{ zones: [{ path: "packages" }], publicEntry: true, rootDir: workspaceProjectRoot }],
+      })),
+
+      // Deep imports within the allowed depth, or through shared patterns and public entries
+      ...[
+        "import { auth } from './auth/index';",
+        "import { crypto } from './auth/crypto';",
+        "import { format } from './shared/utils/format';",
+        "import { config } from '../config';",
+      ].map((code) => ({
+        code,
+        filename: createAbsolutePath("src/features/index.ts"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            sharedPatterns: [{ pattern: "shared", type: "folder" }],
+            noDeepImports: true,
+            rootDir: mockProjectRoot,
+          },
+        ],
+      })),
+      {
+        code: "import { crypto } from './auth/internal/crypto';",
+        filename: createAbsolutePath("src/features/index.ts"),
+        options: [{ zones: [{ path: "src" }], noDeepImports: { maxDepth: 1 }, rootDir: mockProjectRoot }],
+      },
+      // A module's index file is its top level, whether or not it is resolved
+      ...[
+        "import { forms } from './moduleD/forms';",
+        "import { forms } from './moduleD/forms/index';",
+      ].flatMap((code) =>
+        [false, true].map((resolve) => ({
+          code,
+          filename: fixturePath("entry-point-project", "src/app.ts"),
+          options: [{ zones: [{ path: "src" }], noDeepImports: true, resolve, rootDir: entryPointProjectRoot }],
+        }))
+      ),
+      {
+        code: "import { crypto } from './auth/internal/crypto';",
+        filename: createAbsolutePath("src/features/index.ts"),
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
+      },
+
+      // Directories declared shared or open to an importer by marker files
+      ...[
+        ["src/moduleA/file.js", "import { format } from '../common/format';"],
+        ["src/moduleA/file.js", "import { date } from '../legacy/utils/date';"],
+        ["src/checkout/cart.js", "import { stripe } from '../payments/internal/stripe';"],
+        ["src/index.js", "import { payments } from './payments/index';"],
+      ].map(([importer, code]) => ({
+        code,
+        filename: fixturePath("marker-project", importer),
+        options: [{ zones: [{ path: "src" }], markers: true, rootDir: markerProjectRoot }],
+      })),
+
+      // Near cousins within a feature
+      {
+        code: "import { Badge } from '../Badge/Badge';",
+        filename: createAbsolutePath("src/features/checkout/components/Summary/Summary.js"),
+        options: [
+          {
+            zones: [{ path: "src/features" }],
+            minAncestorDepth: 1,
+            maxCousinDistance: 2,
+            rootDir: mockProjectRoot,
+          },
+        ],
+      },
+      {
+        code: "import { something } from '../moduleB/component';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], maxCousinDistance: 2, rootDir: mockProjectRoot }],
+      },
+      {
+        code: "import { client } from '../users/client';",
+        filename: createAbsolutePath("src/generated/api/index.js"),
+        options: [
+          {
+            zones: [{ path: "src", except: ["generated"] }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+      },
+      {
+        code: "import { format } from '../common/format';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src", sharedPatterns: [{ pattern: "common", type: "folder" }] }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+      },
+      {
+        code: "import { format } from '@/format';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src", aliases: { "@/*": ["src/shared/*"] } }],
+            aliases: { "@/*": ["src/*"] },
+            sharedPatterns: [{ pattern: "shared", type: "folder" }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+      },
+
+      // Allowed dependency edges
+      {
+        code: "import { Cart } from '../../cart/components/Cart';",
+        filename: createAbsolutePath("src/features/checkout/components/Summary.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            allow: [{ from: "src/features/checkout", to: ["src/features/cart"] }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+      },
+      {
+        code: "import { track } from '../../analytics/track';",
+        filename: createAbsolutePath("src/features/checkout/components/Summary.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            allow: [{ to: ["src/features/analytics"] }],
+            rootDir: mockProjectRoot,
           },
         ],
       },
@@ -95,7 +420,7 @@ describe("ESLint Rule: no-cousin-imports", () => {
           {
             zones: [{ path: "src" }],
             sharedPatterns: [{ pattern: "modules", type: "folder" }],
-            _testProjectRoot: mockProjectRoot,
+            rootDir: mockProjectRoot,
           },
         ],
       },
@@ -104,7 +429,7 @@ describe("ESLint Rule: no-cousin-imports", () => {
       {
         code: "import { something } from 'lodash';",
         filename: createAbsolutePath("src/moduleA/file.js"),
-        options: [{ zones: [{ path: "src" }], _testProjectRoot: mockProjectRoot }],
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
       },
 
       // Alias resolution - valid
@@ -116,93 +441,1625 @@ describe("ESLint Rule: no-cousin-imports", () => {
             zones: [{ path: "src" }],
             aliases: { "@/*": ["src/*"] },
             sharedPatterns: [{ pattern: "shared", type: "folder" }],
-            _testProjectRoot: mockProjectRoot,
+            rootDir: mockProjectRoot,
           },
         ],
       },
-    ],
 
-    invalid: [
-      // Basic cousin import
+      // Disabled checks for require, dynamic import and re-exports
       {
-        code: "import { something } from '../moduleB/component';",
+        code: "const x = require('../moduleB/component');",
         filename: createAbsolutePath("src/moduleA/file.js"),
-        options: [{ zones: [{ path: "src" }], _testProjectRoot: mockProjectRoot }],
-        errors: [{ messageId: "noCousins" }],
+        options: [{ zones: [{ path: "src" }], checkRequire: false, rootDir: mockProjectRoot }],
+      },
+      {
+        code: "import('../moduleB/component');",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], checkDynamicImport: false, rootDir: mockProjectRoot }],
+      },
+      {
+        code: "export * from '../moduleB/component';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], checkReExports: false, rootDir: mockProjectRoot }],
       },
 
-      // Deep nesting cousin import
+      // Local exports and non-require calls are not imports
       {
-        code: "import { something } from '../../featureB/components/Button';",
-        filename: createAbsolutePath("src/features/featureA/components/Input.js"),
-        options: [{ zones: [{ path: "src" }], _testProjectRoot: mockProjectRoot }],
-        errors: [{ messageId: "noCousins" }],
+        code: "const a = 1; export { a };",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
+      },
+      {
+        code: "load('../moduleB/component');",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
       },
 
-      // Alias resolution - violation
+      // Non-literal specifiers are ignored by default
       {
-        code: "import { something } from '@/moduleB/component';",
+        code: "const name = 'x'; import(`../moduleB/${name}`);",
         filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
+      },
+
+      // tsconfig aliases - exact alias to a shared file
+      {
+        code: "import { something } from '@shared';",
+        filename: fixturePath("tsconfig-project", "src/moduleA/file.ts"),
         options: [
           {
             zones: [{ path: "src" }],
-            aliases: { "@/*": ["src/*"] },
-            _testProjectRoot: mockProjectRoot,
+            tsconfig: "tsconfig.json",
+            sharedPatterns: [{ pattern: "shared", type: "folder" }],
+            rootDir: tsconfigProjectRoot,
           },
         ],
-        errors: [{ messageId: "noCousins" }],
       },
 
-      // Shared pattern doesn't match
+      // tsconfig baseUrl does not capture packages missing from baseUrl
       {
-        code: "import { something } from '../moduleB/component';",
-        filename: createAbsolutePath("src/moduleA/file.js"),
+        code: "import { debounce } from 'lodash/debounce';",
+        filename: fixturePath("tsconfig-project", "src/moduleA/file.ts"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            tsconfig: true,
+            rootDir: tsconfigProjectRoot,
+          },
+        ],
+      },
+
+      // Explicit aliases take precedence over tsconfig paths
+      {
+        code: "import { something } from '@/moduleB/component';",
+        filename: fixturePath("tsconfig-project", "src/moduleA/file.ts"),
         options: [
           {
             zones: [{ path: "src" }],
+            tsconfig: true,
+            aliases: { "@/*": ["src/shared/*"] },
             sharedPatterns: [{ pattern: "shared", type: "folder" }],
-            _testProjectRoot: mockProjectRoot,
+            rootDir: tsconfigProjectRoot,
           },
         ],
-        errors: [{ messageId: "noCousins" }],
       },
 
-      // Multiple zones
+      // Resolved file matches a 'file' shared pattern that the raw specifier does not
       {
-        code: "import { something } from '../moduleB/component';",
-        filename: createAbsolutePath("app/moduleA/file.js"),
-        options: [{ zones: [{ path: "src" }, { path: "app" }], _testProjectRoot: mockProjectRoot }],
-        errors: [{ messageId: "noCousins" }],
+        code: "import { helper } from '../moduleB/utils';",
+        filename: fixturePath("resolve-project", "src/moduleA/file.ts"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            resolve: true,
+            sharedPatterns: [{ pattern: "utils.tsx", type: "file" }],
+            rootDir: resolveProjectRoot,
+          },
+        ],
       },
-    ],
-  });
 
-  // Special cases and edge conditions
-  describe("Special Cases", () => {
-    let mockContext;
+      // Custom resolver pointing into node_modules is treated as external
+      {
+        code: "import { thing } from 'some-package';",
+        filename: fixturePath("resolve-project", "src/moduleA/file.ts"),
+        options: [
+          {
+            zones: [{ path: "." }],
+            resolve: { resolver: "./resolver.cjs" },
+            rootDir: resolveProjectRoot,
+          },
+        ],
+      },
 
-    beforeEach(() => {
-      mockContext = {
-        filename: createAbsolutePath("src/moduleA/file.js"),
-        options: [{ zones: [{ path: "src" }], _testProjectRoot: mockProjectRoot }],
-        cwd: mockProjectRoot,
-        report: jest.fn(),
-      };
+      // Workspace package imported by name
+      {
+        code: "import { checkout } from '@acme/checkout';",
+        filename: fixturePath("workspace-project", "packages/billing/src/index.ts"),
+        options: [{ zones: [{ path: "packages" }], workspaces: true, rootDir: workspaceProjectRoot }],
+      },
+
+      // Package roots and declared subpaths stay public when resolved to files
+      {
+        code: "import { billing } from '@acme/billing';",
+        filename: fixturePath("workspace-project", "packages/checkout/src/cart.ts"),
+        options: [
+          { zones: [{ path: "packages" }], workspaces: true, resolve: true, rootDir: workspaceProjectRoot },
+        ],
+      },
+      {
+        code: "import { invoices } from '@acme/billing/api/invoices';",
+        filename: fixturePath("workspace-project", "packages/checkout/src/cart.ts"),
+        options: [
+          { zones: [{ path: "packages" }], workspaces: true, resolve: true, rootDir: workspaceProjectRoot },
+        ],
+      },
+
+      // Declared export subpath with entryPointsOnly
+      {
+        code: "import { invoices } from '@acme/billing/api/invoices';",
+        filename: fixturePath("workspace-project", "packages/checkout/src/cart.ts"),
+        options: [
+          {
+            zones: [{ path: "packages" }],
+            workspaces: { entryPointsOnly: true },
+            rootDir: workspaceProjectRoot,
+          },
+        ],
+      },
+
+      // Exports patterns make their matches entry points
+      {
+        code: "import { entries } from '@acme/ledger/entries';",
+        filename: fixturePath("workspace-project", "packages/checkout/src/cart.ts"),
+        options: [
+          {
+            zones: [{ path: "packages" }],
+            workspaces: { entryPointsOnly: true },
+            rootDir: workspaceProjectRoot,
+          },
+        ],
+      },
+
+      // entryPointsOnly does not apply to imports of the importer's own package
+      {
+        code: "import { internal } from '@acme/billing/src/internal';",
+        filename: fixturePath("workspace-project", "packages/billing/src/index.ts"),
+        options: [
+          {
+            zones: [{ path: "packages" }],
+            workspaces: { entryPointsOnly: true },
+            rootDir: workspaceProjectRoot,
+          },
+        ],
+      },
+
+      // A discovered package root ends the project for imports leaving the package
+      {
+        code: "import { total } from '../../billing/src/internal';",
+        filename: fixturePath("workspace-project", "packages/checkout/src/cart.ts"),
+        options: [{ zones: [{ path: "." }], rootDir: true }],
+      },
+
+      // Shared patterns are normalized
+      {
+        code: "import { helper } from '../shared/helper';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "./src/" }],
+            sharedPatterns: [{ pattern: "./shared/", type: "folder" }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+      },
+    ],
+
+    invalid: [
+      // Basic cousin import
+      {
+        code: "import { something } from '../moduleB/component';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
+        errors: [{ messageId: "noCousins" }],
+      },
+
+      // Deep nesting cousin import
+      {
+        code: "import { something } from '../../featureB/components/Button';",
+        filename: createAbsolutePath("src/features/featureA/components/Input.js"),
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
+        errors: [{ messageId: "noCousins" }],
+      },
+
+      // Most specific alias wins even when declared last
+      {
+        code: "import { Button } from '@/components/Button';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            aliases: { "@/*": ["src/shared/*"], "@/components/*": ["src/components/*"] },
+            sharedPatterns: [{ pattern: "shared", type: "folder" }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "noCousinsViaAlias" }],
+      },
+
+      // Alias resolution - violation
+      {
+        code: "import { something } from '@/moduleB/component';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            aliases: { "@/*": ["src/*"] },
+            rootDir: mockProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "noCousinsViaAlias" }],
+      },
+
+      // Short messages stay on one line
+      {
+        code: "import { something } from '../moduleB/component';",
+        filename: createAbsolutePath("src/moduleA/feature/file.js"),
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
+        errors: [
+          {
+            message:
+              "Import from cousin directory 'src/moduleA/moduleB/component' by 'src/moduleA/feature/file.js' is not allowed: it crosses module boundaries under 'src/moduleA'. If this dependency is intended, add { from: 'src/moduleA/feature', to: ['src/moduleA/moduleB'] } to 'allow'.",
+          },
+        ],
+      },
+
+      // Verbose messages explain how to resolve the violation
+      {
+        code: "import { something } from '../moduleB/component';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            verbosity: "verbose",
+            rootDir: mockProjectRoot,
+          },
+        ],
+        errors: [
+          {
+            message: /To resolve this, you have a few options:[\s\S]*\{ from: 'src\/moduleA', to: \['src\/moduleB'\] \}/,
+          },
+        ],
+      },
+
+      // Glob shared pattern doesn't match
+      {
+        code: "import { User } from '../moduleB/models/user.ts';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            sharedPatterns: [
+              { pattern: "**/*.types.ts", type: "file" },
+              { pattern: "models/*.d.ts", type: "file" },
+            ],
+            rootDir: mockProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "noCousins" }],
+      },
+
+      // Nested strict zone replaces the global shared patterns
+      {
+        code: "import { format } from '../common/format';",
+        filename: createAbsolutePath("src/features/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src" }, { path: "src/features", sharedPatterns: [] }],
+            sharedPatterns: [{ pattern: "common", type: "folder" }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "noCousins" }],
+      },
+
+      // Layers must not import the layers above them
+      {
+        code: "import { Cart } from '../ui/Cart';",
+        filename: createAbsolutePath("src/features/checkout/domain/cart.js"),
+        options: [{ zones: [{ path: "src" }], layers: ["ui", "domain", "infra"], rootDir: mockProjectRoot }],
+        errors: [
+          {
+            messageId: "upwardLayerImport",
+            data: {
+              importerRelative: "src/features/checkout/domain/cart.js",
+              importedRelative: "src/features/checkout/ui/Cart",
+              importerLayer: "domain",
+              importedLayer: "ui",
+              layerOrder: "ui → domain → infra",
+            },
+          },
+        ],
+      },
+      {
+        code: "import { routes } from '../app/routes';",
+        filename: createAbsolutePath("src/lib/router.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            layers: [{ name: "app", path: "src/app" }, { name: "lib", path: "src/lib" }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "upwardLayerImport" }],
+      },
+
+      // Downward imports across features are still cousin imports
+      {
+        code: "import { order } from '../../orders/domain/order';",
+        filename: createAbsolutePath("src/features/checkout/ui/Cart.js"),
+        options: [{ zones: [{ path: "src" }], layers: ["ui", "domain", "infra"], rootDir: mockProjectRoot }],
+        errors: [{ messageId: "noCousins" }],
+      },
+
+      // Reaching past a sibling module's public entry
+      {
+        code: "import { Button } from '../moduleB/components/index';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], publicEntry: true, rootDir: mockProjectRoot }],
+        errors: [
+          {
+            messageId: "bypassesPublicEntry",
+            data: {
+              importerRelative: "src/moduleA/file.js",
+              importedRelative: "src/moduleB/components/index",
+              moduleRelative: "src/moduleB",
+              entryFiles: "'index'",
+            },
+          },
+        ],
+      },
+      {
+        code: "import { internal } from '../../billing/src/internal';",
+        filename: fixturePath("workspace-project", "packages/checkout/src/cart.ts"),
+        options: [
+          {
+            zones: [{ path: "packages" }],
+            publicEntry: { packageExports: false },
+            rootDir: workspaceProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "bypassesPublicEntry" }],
+      },
+      {
+        code: "import { billing } from '../../billing/src/index';",
+        filename: fixturePath("workspace-project", "packages/checkout/src/cart.ts"),
+        options: [
+          {
+            zones: [{ path: "packages" }],
+            publicEntry: { packageExports: false },
+            rootDir: workspaceProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "bypassesPublicEntry" }],
+      },
+
+      // Reaching below the top level of a module from outside it
+      {
+        code: "import { crypto } from './auth/internal/crypto';",
+        filename: createAbsolutePath("src/features/index.ts"),
+        options: [{ zones: [{ path: "src" }], noDeepImports: true, rootDir: mockProjectRoot }],
+        errors: [
+          {
+            messageId: "deepImport",
+            data: {
+              importerRelative: "src/features/index.ts",
+              importedRelative: "src/features/auth/internal/crypto",
+              moduleRelative: "src/features/auth",
+              maxDepth: 0,
+            },
+          },
+        ],
+      },
+      {
+        code: "import { token } from '../features/auth/internal/crypto/token';",
+        filename: createAbsolutePath("src/app/index.ts"),
+        options: [{ zones: [{ path: "src" }], noDeepImports: { maxDepth: 1 }, rootDir: mockProjectRoot }],
+        errors: [{ messageId: "noCousins" }],
+      },
+      {
+        code: "import { token } from './features/auth/internal/token';",
+        filename: createAbsolutePath("src/index.ts"),
+        options: [{ zones: [{ path: "src" }], noDeepImports: { maxDepth: 1 }, rootDir: mockProjectRoot }],
+        errors: [{ messageId: "deepImport" }],
+      },
+
+      // Marker files are only read with the markers option
+      {
+        code: "import { format } from '../common/format';",
+        filename: fixturePath("marker-project", "src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], rootDir: markerProjectRoot }],
+        errors: [{ messageId: "noCousins" }],
+      },
+      // Reaching into a boundary directory's internals
+      {
+        code: "import { stripe } from './payments/internal/stripe';",
+        filename: fixturePath("marker-project", "src/index.js"),
+        options: [{ zones: [{ path: "src" }], markers: true, rootDir: markerProjectRoot }],
+        errors: [
+          {
+            messageId: "deepImport",
+            data: {
+              importerRelative: "src/index.js",
+              importedRelative: "src/payments/internal/stripe",
+              moduleRelative: "src/payments",
+              maxDepth: 0,
+            },
+          },
+        ],
+      },
+      {
+        code: "import { payments } from '../payments/index';",
+        filename: fixturePath("marker-project", "src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], markers: true, rootDir: markerProjectRoot }],
+        errors: [{ messageId: "noCousins" }],
+      },
+      {
+        code: "import { order } from './orders/internal/order';",
+        filename: fixturePath("marker-project", "src/index.js"),
+        options: [
+          { zones: [{ path: "src" }], markers: { boundaryFile: "module.json" }, rootDir: markerProjectRoot },
+        ],
+        errors: [{ messageId: "deepImport" }],
+      },
+
+      // Cousins further apart than maxCousinDistance
+      {
+        code: "import { format } from '../moduleB/utils/format';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], maxCousinDistance: 2, rootDir: mockProjectRoot }],
+        errors: [{ messageId: "noCousins" }],
+      },
+
+      // Near cousins across features still need the minimum ancestor depth
+      {
+        code: "import { Badge } from '../../orders/Badge';",
+        filename: createAbsolutePath("src/features/checkout/Summary/Summary.js"),
+        options: [
+          {
+            zones: [{ path: "src/features" }],
+            minAncestorDepth: 1,
+            maxCousinDistance: 2,
+            rootDir: mockProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "noCousins" }],
+      },
+
+      // Zone limits replace the global ones
+      {
+        code: "import { something } from '../moduleB/component';",
+        filename: createAbsolutePath("src/legacy/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src" }, { path: "src/legacy", minAncestorDepth: 1 }],
+            minAncestorDepth: 0,
+            rootDir: mockProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "noCousins" }],
+      },
+
+      // allowDepth does not relax boundaries closer to the zone root
+      {
+        code: "import { Cart } from '../../cart/components/Cart';",
+        filename: createAbsolutePath("src/features/checkout/components/Summary.js"),
+        options: [
+          {
+            zones: [{ path: "src/features", allowDepth: 1 }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "noCousins" }],
+      },
+
+      // Allow rules only permit the declared direction
+      {
+        code: "import { Summary } from '../../checkout/components/Summary';",
+        filename: createAbsolutePath("src/features/cart/components/Cart.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            allow: [{ from: "src/features/checkout", to: ["src/features/cart"] }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "noCousins" }],
+      },
+
+      // Deny rules win over allow rules and shared patterns
+      {
+        code: "import { AdminPanel } from '../../admin/shared/AdminPanel';",
+        filename: createAbsolutePath("src/features/checkout/components/Summary.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            allow: [{ from: "src/features/*", to: ["src/features/*"] }],
+            deny: [{ to: ["src/features/admin"] }],
+            sharedPatterns: [{ pattern: "shared", type: "folder" }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+        errors: [
+          {
+            messageId: "deniedDependency",
+            data: {
+              importerRelative: path.join("src/features/checkout/components/Summary.js"),
+              importedRelative: path.join("src/features/admin/shared/AdminPanel"),
+              dependencyRule: "{ to: ['src/features/admin'] }",
+            },
+          },
+        ],
+      },
+
+      // Shared pattern doesn't match
+      {
+        code: "import { something } from '../moduleB/component';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            sharedPatterns: [{ pattern: "shared", type: "folder" }],
+            rootDir: mockProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "noCousins" }],
+      },
+
+      // Multiple zones
+      {
+        code: "import { something } from '../moduleB/component';",
+        filename: createAbsolutePath("app/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }, { path: "app" }], rootDir: mockProjectRoot }],
+        errors: [{ messageId: "noCousins" }],
+      },
+
+      // CommonJS require
+      {
+        code: "const { something } = require('../moduleB/component');",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
+        errors: [{ messageId: "noCousins", type: "CallExpression" }],
+      },
+
+      // Dynamic import, including expression-free template literals
+      {
+        code: "async function load() { await import('../moduleB/component'); }",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
+        errors: [{ messageId: "noCousins", type: "ImportExpression" }],
+      },
+      {
+        code: "import(`../moduleB/component`);",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
+        errors: [{ messageId: "noCousins", type: "ImportExpression" }],
+      },
+
+      // Re-exports
+      {
+        code: "export { something } from '../moduleB/component';",
+        filename: createAbsolutePath("src/moduleA/index.js"),
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
+        errors: [{ messageId: "noCousins", type: "ExportNamedDeclaration" }],
+      },
+      {
+        code: "export * from '@/moduleB/component';",
+        filename: createAbsolutePath("src/moduleA/index.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            aliases: { "@/*": ["src/*"] },
+            rootDir: mockProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "noCousinsViaAlias", type: "ExportAllDeclaration" }],
+      },
+
+      // tsconfig aliases - explicit config path with extends
+      {
+        code: "import { something } from '@/moduleB/component';",
+        filename: fixturePath("tsconfig-project", "src/moduleA/file.ts"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            tsconfig: "tsconfig.json",
+            rootDir: tsconfigProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "noCousinsViaAlias" }],
+      },
+
+      // tsconfig baseUrl resolution with auto-discovery
+      {
+        code: "import { something } from 'src/moduleB/component';",
+        filename: fixturePath("tsconfig-project", "src/moduleA/file.ts"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            tsconfig: true,
+            rootDir: tsconfigProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "noCousinsViaAlias" }],
+      },
+
+      // Auto-discovered jsconfig without baseUrl resolves paths from its own directory
+      {
+        code: "import { Button } from '~/widgets/Button';",
+        filename: fixturePath("tsconfig-project", "packages/app/lib/forms/Input.js"),
+        options: [
+          {
+            zones: [{ path: "packages" }],
+            tsconfig: true,
+            rootDir: tsconfigProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "noCousinsViaAlias" }],
+      },
+
+      // Directory import resolved to its index file
+      {
+        code: "import { something } from '../moduleB';",
+        filename: fixturePath("resolve-project", "src/moduleA/file.ts"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            resolve: { extensions: [".ts", ".tsx"] },
+            rootDir: resolveProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "noCousins" }],
+      },
+
+      // Custom resolver takes precedence over aliases
+      {
+        code: "import { Button } from '@acme/ui';",
+        filename: fixturePath("resolve-project", "src/moduleA/file.ts"),
+        options: [
+          {
+            zones: [{ path: "." }],
+            resolve: { resolver: "./resolver.cjs", resolverOptions: { packagesDir: "packages" } },
+            rootDir: resolveProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "noCousinsViaAlias" }],
+      },
+
+      // Workspace package internals are analyzed as local paths
+      {
+        code: "import { internal } from '@acme/billing/src/internal';",
+        filename: fixturePath("workspace-project", "packages/checkout/src/cart.ts"),
+        options: [{ zones: [{ path: "packages" }], workspaces: true, rootDir: workspaceProjectRoot }],
+        errors: [{ messageId: "noCrossWorkspaceCousins" }],
+      },
+
+      // Undeclared subpaths resolved to files are still internals
+      {
+        code: "import { internal } from '@acme/billing/src/internal';",
+        filename: fixturePath("workspace-project", "packages/checkout/src/cart.ts"),
+        options: [
+          { zones: [{ path: "packages" }], workspaces: true, resolve: true, rootDir: workspaceProjectRoot },
+        ],
+        errors: [{ messageId: "noCrossWorkspaceCousins" }],
+      },
+
+      // Subpaths blocked by a null exports target with entryPointsOnly
+      {
+        code: "import { secret } from '@acme/ledger/internal/secret';",
+        filename: fixturePath("workspace-project", "packages/checkout/src/cart.ts"),
+        options: [
+          {
+            zones: [{ path: "packages" }],
+            workspaces: { entryPointsOnly: true },
+            rootDir: workspaceProjectRoot,
+          },
+        ],
+        errors: [
+          {
+            messageId: "workspaceEntryPoint",
+            data: { importPath: "@acme/ledger/internal/secret", packageName: "@acme/ledger" },
+          },
+        ],
+      },
+
+      // Subpaths blocked by a null exports target are internals
+      {
+        code: "import { secret } from '@acme/ledger/internal/secret';",
+        filename: fixturePath("workspace-project", "packages/checkout/src/cart.ts"),
+        options: [
+          { zones: [{ path: "packages" }], workspaces: true, resolve: true, rootDir: workspaceProjectRoot },
+        ],
+        errors: [{ messageId: "noCrossWorkspaceCousins" }],
+      },
+
+      // Undeclared subpath with entryPointsOnly
+      {
+        code: "import { internal } from '@acme/billing/src/internal';",
+        filename: fixturePath("workspace-project", "packages/checkout/src/cart.ts"),
+        options: [
+          {
+            zones: [{ path: "packages" }],
+            workspaces: { entryPointsOnly: true },
+            rootDir: workspaceProjectRoot,
+          },
+        ],
+        errors: [
+          {
+            messageId: "workspaceEntryPoint",
+            data: { importPath: "@acme/billing/src/internal", packageName: "@acme/billing" },
+          },
+        ],
+      },
+
+      // Baseline entries that no longer occur are reported, new violations still are
+      {
+        code: "import { something } from '../moduleB/component';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            baseline: baselineFixturePath,
+            rootDir: mockProjectRoot,
+          },
+        ],
+        errors: [
+          {
+            messageId: "staleBaselineEntry",
+            data: {
+              importer: "src/moduleA/file.js",
+              imported: "src/moduleC/removed",
+              baselinePath: path.relative(mockProjectRoot, baselineFixturePath).split(path.sep).join("/"),
+            },
+          },
+        ],
+      },
+      {
+        code: "import { something } from '../moduleD/component';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            baseline: { path: baselineFixturePath, reportStale: false },
+            rootDir: mockProjectRoot,
+          },
+        ],
+        errors: [{ messageId: "noCousins" }],
+      },
+
+      // Suggestions and autofix to public entry points
+      {
+        code: "import { helper } from '../moduleB/internal/helpers';",
+        filename: fixturePath("entry-point-project", "src/moduleA/file.ts"),
+        options: [{ zones: [{ path: "src" }], autofix: true, rootDir: entryPointProjectRoot }],
+        output: "import { helper } from '../moduleB';",
+        errors: [
+          {
+            messageId: "noCousins",
+            suggestions: [
+              {
+                messageId: "useEntryPoint",
+                data: { specifier: "../moduleB" },
+                output: "import { helper } from '../moduleB';",
+              },
+            ],
+          },
+        ],
+      },
+      {
+        code: "import { helper } from \"@/moduleB/internal/helpers\";",
+        filename: fixturePath("entry-point-project", "src/moduleA/file.ts"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            aliases: { "@/*": ["src/*"] },
+            rootDir: entryPointProjectRoot,
+          },
+        ],
+        output: null,
+        errors: [
+          {
+            messageId: "noCousinsViaAlias",
+            suggestions: [
+              {
+                messageId: "useEntryPoint",
+                data: { specifier: "@/moduleB" },
+                output: "import { helper } from \"@/moduleB\";",
+              },
+            ],
+          },
+        ],
+      },
+      {
+        code: "import { format } from '../moduleC/internal/format';",
+        filename: fixturePath("entry-point-project", "src/moduleA/file.ts"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            sharedPatterns: [{ pattern: "shared", type: "folder" }],
+            autofix: true,
+            rootDir: entryPointProjectRoot,
+          },
+        ],
+        output: "import { format } from '../shared';",
+        errors: [
+          {
+            messageId: "noCousins",
+            suggestions: [
+              {
+                messageId: "useEntryPoint",
+                data: { specifier: "../moduleC" },
+                output: "import { format } from '../moduleC';",
+              },
+              {
+                messageId: "useEntryPoint",
+                data: { specifier: "../shared" },
+                output: "import { format } from '../shared';",
+              },
+            ],
+          },
+        ],
+      },
+      {
+        code: "const { Widget } = require('../moduleC/internal/format');",
+        filename: fixturePath("entry-point-project", "src/moduleA/file.ts"),
+        options: [{ zones: [{ path: "src" }], autofix: true, rootDir: entryPointProjectRoot }],
+        output: null,
+        errors: [
+          {
+            messageId: "noCousins",
+            suggestions: [
+              {
+                messageId: "useEntryPoint",
+                data: { specifier: "../moduleC" },
+                output: "const { Widget } = require('../moduleC');",
+              },
+            ],
+          },
+        ],
+      },
+
+      // Re-exports in comments and strings do not count
+      {
+        code: "import { helper } from '../moduleE/internal/helpers';",
+        filename: fixturePath("entry-point-project", "src/moduleA/file.ts"),
+        options: [{ zones: [{ path: "src" }], autofix: true, rootDir: entryPointProjectRoot }],
+        output: null,
+        errors: [
+          {
+            messageId: "noCousins",
+            suggestions: [
+              {
+                messageId: "useEntryPoint",
+                data: { specifier: "../moduleE" },
+                output: "import { helper } from '../moduleE';",
+              },
+            ],
+          },
+        ],
+      },
+
+      // Forms the barrel may not re-export unchanged are only suggested
+      {
+        code: "import helpers from '../moduleB/internal/helpers';",
+        filename: fixturePath("entry-point-project", "src/moduleA/file.ts"),
+        options: [{ zones: [{ path: "src" }], autofix: true, rootDir: entryPointProjectRoot }],
+        output: null,
+        errors: [
+          {
+            messageId: "noCousins",
+            suggestions: [
+              {
+                messageId: "useEntryPoint",
+                data: { specifier: "../moduleB" },
+                output: "import helpers from '../moduleB';",
+              },
+            ],
+          },
+        ],
+      },
+      {
+        code: "import * as helpers from '../moduleB/internal/helpers';",
+        filename: fixturePath("entry-point-project", "src/moduleA/file.ts"),
+        options: [{ zones: [{ path: "src" }], autofix: true, rootDir: entryPointProjectRoot }],
+        output: null,
+        errors: [
+          {
+            messageId: "noCousins",
+            suggestions: [
+              {
+                messageId: "useEntryPoint",
+                data: { specifier: "../moduleB" },
+                output: "import * as helpers from '../moduleB';",
+              },
+            ],
+          },
+        ],
+      },
+      {
+        code: "import { helper, other } from '../moduleB/internal/helpers';",
+        filename: fixturePath("entry-point-project", "src/moduleA/file.ts"),
+        options: [{ zones: [{ path: "src" }], autofix: true, rootDir: entryPointProjectRoot }],
+        output: null,
+        errors: [
+          {
+            messageId: "noCousins",
+            suggestions: [
+              {
+                messageId: "useEntryPoint",
+                data: { specifier: "../moduleB" },
+                output: "import { helper, other } from '../moduleB';",
+              },
+            ],
+          },
+        ],
+      },
+      {
+        code: "const { helper } = require('../moduleB/internal/helpers');",
+        filename: fixturePath("entry-point-project", "src/moduleA/file.ts"),
+        options: [{ zones: [{ path: "src" }], autofix: true, rootDir: entryPointProjectRoot }],
+        output: null,
+        errors: [
+          {
+            messageId: "noCousins",
+            suggestions: [
+              {
+                messageId: "useEntryPoint",
+                data: { specifier: "../moduleB" },
+                output: "const { helper } = require('../moduleB');",
+              },
+            ],
+          },
+        ],
+      },
+      {
+        code: "import('../moduleB/internal/helpers');",
+        filename: fixturePath("entry-point-project", "src/moduleA/file.ts"),
+        options: [{ zones: [{ path: "src" }], autofix: true, rootDir: entryPointProjectRoot }],
+        output: null,
+        errors: [
+          {
+            messageId: "noCousins",
+            suggestions: [
+              {
+                messageId: "useEntryPoint",
+                data: { specifier: "../moduleB" },
+                output: "import('../moduleB');",
+              },
+            ],
+          },
+        ],
+      },
+      {
+        code: "import format from '../moduleC/internal/format';",
+        filename: fixturePath("entry-point-project", "src/moduleA/file.ts"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            sharedPatterns: [{ pattern: "shared", type: "folder" }],
+            autofix: true,
+            rootDir: entryPointProjectRoot,
+          },
+        ],
+        output: null,
+        errors: [
+          {
+            messageId: "noCousins",
+            suggestions: [
+              {
+                messageId: "useEntryPoint",
+                data: { specifier: "../moduleC" },
+                output: "import format from '../moduleC';",
+              },
+              {
+                messageId: "useEntryPoint",
+                data: { specifier: "../shared" },
+                output: "import format from '../shared';",
+              },
+            ],
+          },
+        ],
+      },
+
+      // Non-literal specifiers can be reported
+      {
+        code: "const name = 'x'; require(`../moduleB/${name}`);",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], nonLiteralSpecifiers: "report", rootDir: mockProjectRoot }],
+        errors: [{ messageId: "nonLiteralSpecifier" }],
+      },
+
+      // Project root discovered from the linted file
+      {
+        code: "import { something } from '../moduleB/component';",
+        filename: fixturePath("tsconfig-project", "src/moduleA/file.ts"),
+        options: [{ zones: [{ path: "src" }], rootDir: true }],
+        errors: [
+          {
+            message:
+              "Import from cousin directory 'src/moduleB/component' by 'src/moduleA/file.ts' is not allowed: it crosses module boundaries under 'src'. If this dependency is intended, add { from: 'src/moduleA', to: ['src/moduleB'] } to 'allow'.",
+          },
+        ],
+      },
+
+      // Configuration problems
+      {
+        code: "import { helper } from '../shared/helper';",
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [
+          {
+            zones: [{ path: "src" }],
+            sharedPatterns: [
+              { pattern: "shared", type: "folder" },
+              { pattern: "(", type: "regex" },
+              { pattern: "fixtures/**", type: "file" },
+            ],
+            aliases: { "@/*": [] },
+            rootDir: mockProjectRoot,
+          },
+        ],
+        errors: [
+          { messageId: "invalidConfiguration" },
+          {
+            messageId: "invalidConfiguration",
+            data: {
+              problem:
+                "sharedPatterns[2] is a file pattern ending in '**' ('fixtures/**'). Use a 'folder' pattern to share a directory tree.",
+            },
+          },
+          {
+            messageId: "invalidConfiguration",
+            data: { problem: "aliases '@/*' has no target paths and is ignored." },
+          },
+        ],
+      },
+      {
+        code: "import { helper } from './helper';",
+        filename: fixturePath("entry-point-project", "src/moduleA/file.ts"),
+        options: [
+          {
+            zones: [{ path: "src" }, { path: "lib", sharedPatterns: [{ pattern: "", type: "file" }] }],
+            rootDir: entryPointProjectRoot,
+          },
+        ],
+        errors: [
+          {
+            messageId: "invalidConfiguration",
+            data: { problem: `zones[1].path 'lib' is not a directory under '${entryPointProjectRoot}'.` },
+          },
+          {
+            messageId: "invalidConfiguration",
+            data: { problem: "zones[1].sharedPatterns[0] has an empty pattern and is ignored." },
+          },
+        ],
+      },
+    ],
+  });
+
+  // TypeScript type-only imports
+  const tsOptions = (typeImports) => [
+    { zones: [{ path: "src" }], typeImports, rootDir: mockProjectRoot },
+  ];
+  const tsFilename = createAbsolutePath("src/moduleA/file.ts");
+
+  tsRuleTester.run("no-cousin-imports (TypeScript)", rule, {
+    valid: [
+      // Type-only forms are ignored by default
+      ...[
+        "import type { User } from '../moduleB/types';",
+        "import { type User, type Role } from '../moduleB/types';",
+        "export type { User } from '../moduleB/types';",
+        "export { type User } from '../moduleB/types';",
+        "import type types = require('../moduleB/types');",
+        "type User = import('../moduleB/types').User;",
+      ].map((code) => ({ code, filename: tsFilename, options: tsOptions(undefined) })),
+      {
+        code: "import { Service } from './service';",
+        filename: tsFilename,
+        options: tsOptions("check"),
+      },
+    ],
+
+    invalid: [
+      // Inline type specifiers next to values make a value import
+      {
+        code: "import { type User, UserService } from '../moduleB/services';",
+        filename: tsFilename,
+        options: tsOptions("ignore"),
+        errors: [{ messageId: "noCousins" }],
+      },
+      {
+        code: "import services = require('../moduleB/services');",
+        filename: tsFilename,
+        options: tsOptions("ignore"),
+        errors: [{ messageId: "noCousins", type: "TSImportEqualsDeclaration" }],
+      },
+
+      // 'check' treats type-only imports like value imports
+      {
+        code: "import type { User } from '../moduleB/types';",
+        filename: tsFilename,
+        options: tsOptions("check"),
+        errors: [{ messageId: "noCousins" }],
+      },
+      {
+        code: "type User = import('../moduleB/types').User;",
+        filename: tsFilename,
+        options: tsOptions("check"),
+        errors: [{ messageId: "noCousins", type: "TSImportType" }],
+      },
+
+      // 'checkSeparately' reports type-only imports with their own message
+      {
+        code: [
+          "import { type User } from '../moduleB/types';",
+          "import { UserService } from '../moduleB/services';",
+          "export type * from '../moduleB/models';",
+        ].join("\n"),
+        filename: tsFilename,
+        options: tsOptions("checkSeparately"),
+        errors: [
+          { messageId: "noCousinTypeImports", line: 1 },
+          { messageId: "noCousins", line: 2 },
+          { messageId: "noCousinTypeImports", line: 3 },
+        ],
+      },
+    ],
+  });
+
+  // Imports in <script>, <script setup> and component templates
+  const sfcOptions = [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }];
+
+  vueRuleTester.run("no-cousin-imports (Vue)", rule, {
+    valid: [
+      {
+        code: [
+          "<script setup>",
+          "import Button from './Button.vue';",
+          "</script>",
+          "<template><component :is=\"defineAsyncComponent(() => import('./Chart.vue'))\" /></template>",
+        ].join("\n"),
+        filename: createAbsolutePath("src/moduleA/Widget.vue"),
+        options: sfcOptions,
+      },
+    ],
+    invalid: [
+      {
+        code: [
+          "<script>",
+          "import { format } from '../moduleB/format';",
+          "</script>",
+          "<script setup>",
+          "import Button from '../moduleB/Button.vue';",
+          "</script>",
+          "<template><component :is=\"defineAsyncComponent(() => import('../moduleC/Chart.vue'))\" /></template>",
+        ].join("\n"),
+        filename: createAbsolutePath("src/moduleA/Widget.vue"),
+        options: sfcOptions,
+        errors: [
+          { messageId: "noCousins", line: 2 },
+          { messageId: "noCousins", line: 5 },
+          { messageId: "noCousins", line: 7, type: "ImportExpression" },
+        ],
+      },
+    ],
+  });
+
+  svelteRuleTester.run("no-cousin-imports (Svelte)", rule, {
+    valid: [
+      {
+        code: "<script>\nimport Button from './Button.svelte';\n</script>\n<Button />",
+        filename: createAbsolutePath("src/moduleA/Widget.svelte"),
+        options: sfcOptions,
+      },
+    ],
+    invalid: [
+      {
+        code: [
+          "<script>",
+          "import Button from '../moduleB/Button.svelte';",
+          "</script>",
+          "{#await import('../moduleC/Chart.svelte') then chart}",
+          "  <svelte:component this={chart.default} />",
+          "{/await}",
+        ].join("\n"),
+        filename: createAbsolutePath("src/moduleA/Widget.svelte"),
+        options: sfcOptions,
+        errors: [
+          { messageId: "noCousins", line: 2 },
+          { messageId: "noCousins", line: 4, type: "ImportExpression" },
+        ],
+      },
+    ],
+  });
+
+  astroRuleTester.run("no-cousin-imports (Astro)", rule, {
+    valid: [
+      {
+        code: "---\nimport Button from './Button.astro';\n---\n<Button />",
+        filename: createAbsolutePath("src/moduleA/Widget.astro"),
+        options: sfcOptions,
+      },
+    ],
+    invalid: [
+      {
+        code: [
+          "---",
+          "import Button from '../moduleB/Button.astro';",
+          "const { default: Chart } = await import('../moduleC/Chart.astro');",
+          "---",
+          "<Button /><Chart />",
+        ].join("\n"),
+        filename: createAbsolutePath("src/moduleA/Widget.astro"),
+        options: sfcOptions,
+        errors: [
+          { messageId: "noCousins", line: 2 },
+          { messageId: "noCousins", line: 3, type: "ImportExpression" },
+        ],
+      },
+    ],
+  });
+
+  // Special cases and edge conditions
+  describe("Special Cases", () => {
+    let mockContext;
+
+    beforeEach(() => {
+      mockContext = {
+        filename: createAbsolutePath("src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], rootDir: mockProjectRoot }],
+        cwd: mockProjectRoot,
+        report: jest.fn(),
+      };
+    });
+
+    test("ignores TypeScript type imports", () => {
+      const ruleInstance = rule.create(mockContext);
+      const mockNode = {
+        source: { value: "../moduleB/types" },
+        importKind: "type",
+      };
+
+      ruleInstance.ImportDeclaration(mockNode);
+      expect(mockContext.report).not.toHaveBeenCalled();
+    });
+
+    test("ignores TypeScript type re-exports", () => {
+      const ruleInstance = rule.create(mockContext);
+      const mockNode = {
+        source: { value: "../moduleB/types" },
+        exportKind: "type",
+      };
+
+      ruleInstance.ExportNamedDeclaration(mockNode);
+      ruleInstance.ExportAllDeclaration(mockNode);
+      expect(mockContext.report).not.toHaveBeenCalled();
+    });
+
+    test("suggests an allow rule for cousin violations", () => {
+      const ruleInstance = rule.create(mockContext);
+      const mockNode = { source: { value: "../moduleB/component" } };
+
+      ruleInstance.ImportDeclaration(mockNode);
+      expect(mockContext.report).toHaveBeenCalledWith({
+        node: mockNode,
+        messageId: "noCousins",
+        data: expect.objectContaining({
+          allowRuleSuggestion: "{ from: 'src/moduleA', to: ['src/moduleB'] }",
+        }),
+      });
+    });
+
+    test("analyzes processor blocks as the physical file", () => {
+      const extractScripts = {
+        preprocess: (text) => [{ text: text.replace(/<\/?script>/g, ""), filename: "0_script.js" }],
+        postprocess: (messageLists) => messageLists.flat(),
+      };
+      const messages = new Linter({ cwd: mockProjectRoot }).verify(
+        "<script>import { format } from '../moduleB/format';</script>",
+        [
+          { files: ["**/*.html"], processor: extractScripts },
+          {
+            files: ["**/*.js"],
+            languageOptions: { ecmaVersion: 2020, sourceType: "module" },
+            plugins: { "no-cousin-imports": { rules: { "no-cousin-imports": rule } } },
+            rules: { "no-cousin-imports/no-cousin-imports": ["error", ...sfcOptions] },
+          },
+        ],
+        createAbsolutePath("src/moduleA/page.html")
+      );
+
+      expect(messages).toHaveLength(1);
+      expect(messages[0].message).toContain("by 'src/moduleA/page.html'");
+    });
+
+    test("does not report baseline entries as stale from processor blocks", () => {
+      const splitBlocks = {
+        preprocess: (text) =>
+          text.split("---\n").map((blockText, index) => ({ text: blockText, filename: `${index}.js` })),
+        postprocess: (messageLists) => messageLists.flat(),
+      };
+      const messages = new Linter({ cwd: mockProjectRoot }).verify(
+        "import { something } from '../moduleB/component';\n---\nexport {};\n",
+        [
+          { files: ["**/file.js"], processor: splitBlocks },
+          {
+            files: ["**/*.js"],
+            languageOptions: { ecmaVersion: 2020, sourceType: "module" },
+            plugins: { "no-cousin-imports": { rules: { "no-cousin-imports": rule } } },
+            rules: {
+              "no-cousin-imports/no-cousin-imports": [
+                "error",
+                { zones: [{ path: "src" }], baseline: baselineFixturePath, rootDir: mockProjectRoot },
+              ],
+            },
+          },
+        ],
+        createAbsolutePath("src/moduleA/file.js")
+      );
+
+      expect(messages).toEqual([]);
+    });
+
+    test("maps virtual block filenames without a physical filename", () => {
+      const { getPhysicalFilename } = rule.internals;
+      expect(getPhysicalFilename({ filename: "/p/src/Widget.vue/0_script.ts" })).toBe("/p/src/Widget.vue");
+      expect(
+        getPhysicalFilename({
+          filename: "/p/src/Widget.vue/0_script.ts",
+          physicalFilename: "/p/src/Widget.vue/0_script.ts",
+        })
+      ).toBe("/p/src/Widget.vue");
+      expect(getPhysicalFilename({ filename: "/p/src/utils.js" })).toBe("/p/src/utils.js");
+      expect(
+        getPhysicalFilename({ filename: "/p/src/page.md/1.js", physicalFilename: "/p/src/page.md" })
+      ).toBe("/p/src/page.md");
+    });
+
+    test("exposes the analysis in the report data", () => {
+      const ruleInstance = rule.create(mockContext);
+      const mockNode = { source: { value: "../moduleB/utils/format" } };
+
+      ruleInstance.ImportDeclaration(mockNode);
+      expect(mockContext.report).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageId: "noCousins",
+          data: expect.objectContaining({
+            cause: "relative",
+            importPath: "../moduleB/utils/format",
+            commonAncestor: "src",
+            importerSegments: ["moduleA", "file.js"],
+            importedSegments: ["moduleB", "utils", "format"],
+            suggestedPatterns: [
+              { pattern: "src", type: "folder" },
+              { pattern: "moduleB/utils", type: "folder" },
+              { pattern: "moduleB/utils/format", type: "file" },
+            ],
+            suggestedAllowRule: { from: "src/moduleA", to: ["src/moduleB"] },
+            details: "",
+          }),
+        })
+      );
+    });
+
+    test("resolves a relative rootDir from the working directory", () => {
+      const ruleInstance = rule.create({
+        ...mockContext,
+        filename: createAbsolutePath("packages/app/src/moduleA/file.js"),
+        options: [{ zones: [{ path: "src" }], rootDir: "packages/app" }],
+      });
+      const mockNode = { source: { value: "../moduleB/component" } };
+
+      ruleInstance.ImportDeclaration(mockNode);
+      expect(mockContext.report).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageId: "noCousins",
+          data: expect.objectContaining({
+            importerRelative: path.join("src", "moduleA", "file.js"),
+            importedRelative: path.join("src", "moduleB", "component"),
+          }),
+        })
+      );
+    });
+
+    test("falls back to the working directory without a project root marker", () => {
+      const ruleInstance = rule.create({
+        ...mockContext,
+        options: [{ zones: [{ path: "src" }], rootDir: true }],
+      });
+      const mockNode = { source: { value: "../moduleB/component" } };
+
+      ruleInstance.ImportDeclaration(mockNode);
+      expect(mockContext.report).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({ importerRelative: path.join("src", "moduleA", "file.js") }),
+        })
+      );
+    });
+
+    test("reports configuration problems on every file linted with the config", () => {
+      const options = [
+        { zones: [{ path: "src" }], aliases: { "@/*": [] }, rootDir: mockProjectRoot },
+      ];
+      const programNode = { type: "Program" };
+
+      rule.create({ ...mockContext, options }).Program(programNode);
+      expect(mockContext.report).toHaveBeenCalledTimes(1);
+      expect(mockContext.report).toHaveBeenCalledWith({
+        node: programNode,
+        messageId: "invalidConfiguration",
+        data: { problem: "aliases '@/*' has no target paths and is ignored." },
+      });
+
+      rule.create({ ...mockContext, filename: createAbsolutePath("src/moduleB/file.js"), options })
+        .Program(programNode);
+      expect(mockContext.report).toHaveBeenCalledTimes(2);
+    });
+
+    describe("cycles", () => {
+      const lintImport = (options, importer, specifier) => {
+        const context = { ...mockContext, filename: importer, options: [options], report: jest.fn() };
+        rule.create(context).ImportDeclaration({ source: { value: specifier } });
+        return context.report.mock.calls
+          .map(([descriptor]) => descriptor)
+          .filter((descriptor) => descriptor.messageId === "importCycle");
+      };
+
+      test("reports the import that closes a cycle between modules", () => {
+        const options = {
+          zones: [{ path: "src" }],
+          sharedPatterns: [{ pattern: "shared", type: "folder" }],
+          cycles: true,
+          rootDir: mockProjectRoot,
+        };
+
+        expect(lintImport(options, createAbsolutePath("src/moduleA/file.js"), "../shared/index")).toEqual([]);
+        expect(lintImport(options, createAbsolutePath("src/shared/index.js"), "../moduleB/component")).toEqual([]);
+        expect(lintImport(options, createAbsolutePath("src/moduleB/component.js"), "../moduleA/file")).toEqual([
+          expect.objectContaining({
+            data: {
+              importerRelative: "src/moduleB/component.js",
+              importedRelative: "src/moduleA/file",
+              importerModule: "src/moduleB",
+              importedModule: "src/moduleA",
+              cycle: "src/moduleB → src/moduleA → src/shared → src/moduleB",
+            },
+          }),
+        ]);
+
+        // Linting a file again replaces the dependencies it recorded
+        expect(lintImport(options, createAbsolutePath("src/moduleA/file.js"), "./helper")).toEqual([]);
+        expect(lintImport(options, createAbsolutePath("src/moduleB/component.js"), "../moduleA/file")).toEqual([]);
+      });
+
+      test("adds the edges of a precomputed dependency report", () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "no-cousin-imports-"));
+        const reportProjectRoot = fixturePath("report-project");
+        const cachePath = path.join(tmpDir, "module-graph.json");
+        fs.writeFileSync(
+          cachePath,
+          formatters.json(buildDependencyGraph(reportProjectRoot, ["src"], { zones: [{ path: "src" }] }))
+        );
+
+        try {
+          const options = { zones: [{ path: "src" }], cycles: { cache: cachePath }, rootDir: reportProjectRoot };
+          expect(
+            lintImport(options, path.join(reportProjectRoot, "src/moduleB/format.js"), "../moduleA/helper")
+          ).toEqual([
+            expect.objectContaining({
+              data: expect.objectContaining({ cycle: "src/moduleB → src/moduleA → src/moduleB" }),
+            }),
+          ]);
+        } finally {
+          fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+      });
+
+      test("reports an unreadable cache as a configuration problem", () => {
+        const context = {
+          ...mockContext,
+          options: [{ zones: [{ path: "src" }], cycles: { cache: "missing.json" }, rootDir: mockProjectRoot }],
+        };
+        rule.create(context).Program({});
+
+        expect(context.report).toHaveBeenCalledWith({
+          node: {},
+          messageId: "invalidConfiguration",
+          data: { problem: "cycles.cache 'missing.json' is not a JSON dependency report and is ignored." },
+        });
+      });
+    });
+
+    describe("followSymlinks", () => {
+      let tmpDir;
+
+      beforeEach(() => {
+        tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "no-cousin-imports-")));
+        fs.mkdirSync(path.join(tmpDir, "src", "moduleA"), { recursive: true });
+        fs.mkdirSync(path.join(tmpDir, "src", "shared", "money"), { recursive: true });
+        fs.symlinkSync(
+          path.join(tmpDir, "src", "shared", "money"),
+          path.join(tmpDir, "src", "money"),
+          "dir"
+        );
+      });
+
+      afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      });
+
+      const lintLinkedImport = (followSymlinks) => {
+        const context = {
+          ...mockContext,
+          filename: path.join(tmpDir, "src", "moduleA", "file.js"),
+          options: [
+            {
+              zones: [{ path: "src" }],
+              sharedPatterns: [{ pattern: "shared", type: "folder" }],
+              rootDir: tmpDir,
+              followSymlinks,
+            },
+          ],
+        };
+        rule.create(context).ImportDeclaration({ source: { value: "../money/format" } });
+        return context.report;
+      };
+
+      test("analyzes linked folders where they are linked by default", () => {
+        expect(lintLinkedImport(false)).toHaveBeenCalledWith(
+          expect.objectContaining({ messageId: "noCousins" })
+        );
+      });
+
+      test("analyzes linked folders at their real location", () => {
+        expect(lintLinkedImport(true)).not.toHaveBeenCalled();
+      });
     });
 
-    test("ignores TypeScript type imports", () => {
-      const ruleInstance = rule.create(mockContext);
-      const mockNode = {
-        source: { value: "../moduleB/types" },
-        importKind: "type",
-      };
+    describe("baseline update mode", () => {
+      let tmpDir;
 
-      ruleInstance.ImportDeclaration(mockNode);
-      expect(mockContext.report).not.toHaveBeenCalled();
+      beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "no-cousin-imports-"));
+        process.env.NO_COUSIN_IMPORTS_UPDATE_BASELINE = "1";
+      });
+
+      afterEach(() => {
+        delete process.env.NO_COUSIN_IMPORTS_UPDATE_BASELINE;
+        rule.internals.clearBaselineCaches();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      });
+
+      test("records violations instead of reporting them and writes the baseline", () => {
+        const baselinePath = path.join(tmpDir, "baseline.json");
+        fs.writeFileSync(
+          baselinePath,
+          JSON.stringify({
+            violations: [
+              { importer: "src/moduleA/file.js", imported: "src/moduleC/fixed" },
+              { importer: "src/deleted/file.js", imported: "src/moduleB/component" },
+            ],
+          })
+        );
+
+        const ruleInstance = rule.create({
+          ...mockContext,
+          options: [{ zones: [{ path: "src" }], baseline: baselinePath, rootDir: mockProjectRoot }],
+        });
+        ruleInstance.ImportDeclaration({ source: { value: "../moduleB/component" } });
+        ruleInstance["Program:exit"]({});
+        rule.internals.flushBaselineUpdates();
+
+        expect(mockContext.report).not.toHaveBeenCalled();
+        expect(JSON.parse(fs.readFileSync(baselinePath, "utf8"))).toEqual({
+          violations: [{ importer: "src/moduleA/file.js", imported: "src/moduleB/component" }],
+        });
+      });
+
+      test("creates a missing baseline file", () => {
+        const baselinePath = path.join(tmpDir, "new-baseline.json");
+        const ruleInstance = rule.create({
+          ...mockContext,
+          options: [{ zones: [{ path: "src" }], baseline: baselinePath, rootDir: mockProjectRoot }],
+        });
+        ruleInstance.ImportDeclaration({ source: { value: "../moduleB/component" } });
+        rule.internals.flushBaselineUpdates();
+
+        expect(JSON.parse(fs.readFileSync(baselinePath, "utf8")).violations).toHaveLength(1);
+      });
     });
 
     test("handles empty zones gracefully", () => {
-      const emptyZonesContext = { ...mockContext, options: [{ zones: [], _testProjectRoot: mockProjectRoot }] };
+      const emptyZonesContext = { ...mockContext, options: [{ zones: [], rootDir: mockProjectRoot }] };
       const emptyZonesRule = rule.create(emptyZonesContext);
       expect(emptyZonesRule).toEqual({});
     });
@@ -229,7 +2086,7 @@ describe("ESLint Rule: no-cousin-imports", () => {
               "@/*": ["src/*"],
               "@utils": ["src/shared/utils"],
             },
-            _testProjectRoot: mockProjectRoot,
+            rootDir: mockProjectRoot,
           },
         ],
       };
@@ -239,9 +2096,11 @@ describe("ESLint Rule: no-cousin-imports", () => {
       aliasRule.ImportDeclaration(mockNode);
       expect(mockContext.report).toHaveBeenCalledWith({
         node: mockNode,
-        messageId: "noCousins",
+        messageId: "noCousinsViaAlias",
         data: expect.objectContaining({
           importedRelative: "src/moduleB/component",
+          importPath: "@/moduleB/component",
+          cause: "alias",
         }),
       });
     });
@@ -250,13 +2109,67 @@ describe("ESLint Rule: no-cousin-imports", () => {
   // Unit tests for core helper functions
   describe("Helper Functions", () => {
     const {
+      matchAliasPattern,
+      findBestAliasMatch,
       resolveAliasedPath,
+      parseJsonWithComments,
+      loadTsconfigAliases,
+      findTsconfig,
+      clearTsconfigCaches,
+      findProjectRoot,
+      clearProjectRootCache,
+      normalizeResolveOptions,
+      resolveWithCustomResolver,
+      getPackageEntry,
+      resolveToFile,
+      findIndexFile,
+      toRelativeSpecifier,
+      toAliasSpecifier,
+      barrelReExports,
+      parsePnpmWorkspacePackages,
+      loadWorkspacePackages,
+      clearWorkspaceCache,
+      findWorkspacePackage,
+      isWorkspaceEntryPoint,
+      resolveWorkspaceExport,
+      normalizePublicEntryOptions,
+      normalizeNoDeepImportsOptions,
+      normalizeMarkerOptions,
+      readDirectoryMarkers,
+      findImportMarkers,
+      clearMarkerCache,
+      isPublicEntryImport,
+      loadBaseline,
+      mergeBaselineUpdate,
+      clearBaselineCaches,
       getPathSegmentsRelativeToRoot,
-      isPathInRuleZone,
+      isPathInside,
+      resolveRealPath,
+      toPosixPath,
+      findRuleZone,
+      getModuleName,
+      createModuleGraph,
+      globToRegExpSource,
+      compileSharedPattern,
       matchesSharedPattern,
+      isTypeOnlyImport,
+      isTypeOnlyExport,
+      isRequireCall,
+      getStaticSourceValue,
       analyzeImportRelationship,
+      getCousinDistance,
+      isNearCousin,
+      suggestSharedPatterns,
       generateViolationSuggestions,
+      formatViolationDetails,
+      compileDependencyRules,
+      findDependencyRule,
+      compileLayers,
+      findLayer,
+      formatDependencyRule,
+      suggestAllowRule,
       formatExistingSharedPatterns,
+      normalizeOptions,
     } = rule.internals;
 
     describe("Path Resolution", () => {
@@ -293,6 +2206,485 @@ describe("ESLint Rule: no-cousin-imports", () => {
       });
     });
 
+    describe("Alias Matching", () => {
+      test("matches wildcards anywhere in the pattern", () => {
+        expect(matchAliasPattern("@app/*/public", "@app/billing/public")).toBe("billing");
+        expect(matchAliasPattern("@app/*/public", "@app/billing/internal")).toBeNull();
+        expect(matchAliasPattern("@/*", "@/components/Button")).toBe("components/Button");
+      });
+
+      test("matches non-wildcard keys exactly", () => {
+        expect(matchAliasPattern("@", "@")).toBe("");
+        expect(matchAliasPattern("@", "@scope/pkg")).toBeNull();
+        expect(matchAliasPattern("@utils", "@utils/format")).toBeNull();
+      });
+
+      test("prefers the most specific pattern regardless of key order", () => {
+        const aliases = {
+          "@/*": ["src/*"],
+          "@/components/*": ["src/ui/components/*"],
+        };
+        expect(findBestAliasMatch("@/components/Button", aliases)).toEqual({
+          aliasPattern: "@/components/*",
+          targetPatterns: ["src/ui/components/*"],
+          capturedPath: "Button",
+        });
+        expect(findBestAliasMatch("@/hooks/useUser", aliases).aliasPattern).toBe("@/*");
+      });
+
+      test("prefers exact keys over wildcards", () => {
+        const aliases = { "@config*": ["src/config/*"], "@config": ["src/config/index"] };
+        expect(findBestAliasMatch("@config", aliases).aliasPattern).toBe("@config");
+      });
+
+      test("skips aliases without targets", () => {
+        expect(findBestAliasMatch("@/x", { "@/*": [] })).toBeNull();
+      });
+
+      test("does not treat scoped packages as aliases", () => {
+        const aliases = { "@": ["src"] };
+        expect(resolveAliasedPath("@scope/pkg", "/project/src/a/file.js", aliases, "/project")).toBe(
+          "@scope/pkg"
+        );
+      });
+
+      test("resolves mid-pattern wildcards into the target", () => {
+        const aliases = { "@app/*/public": ["src/modules/*/public/index"] };
+        expect(
+          resolveAliasedPath("@app/billing/public", "/project/src/a/file.js", aliases, "/project")
+        ).toBe(path.resolve("/project", "src/modules/billing/public/index"));
+      });
+
+      test("falls back to the first target that exists on disk", () => {
+        const aliases = { "@lib/*": ["lib/*", "src/*"] };
+        expect(
+          resolveAliasedPath(
+            "@lib/moduleB/component",
+            fixturePath("tsconfig-project", "src/moduleA/file.ts"),
+            aliases,
+            tsconfigProjectRoot
+          )
+        ).toBe(fixturePath("tsconfig-project", "src/moduleB/component"));
+      });
+    });
+
+    describe("tsconfig Loading", () => {
+      afterEach(() => {
+        jest.restoreAllMocks();
+        clearTsconfigCaches();
+      });
+
+      test("parses JSON with comments and trailing commas", () => {
+        const result = parseJsonWithComments(
+          "{\n  // line comment\n  \"a\": \"http://x/*y*/\", /* block */\n  \"b\": [1, 2,],\n}"
+        );
+        expect(result).toEqual({ a: "http://x/*y*/", b: [1, 2] });
+      });
+
+      test("follows extends and resolves paths against baseUrl", () => {
+        const result = loadTsconfigAliases(fixturePath("tsconfig-project", "tsconfig.json"));
+        expect(result.baseUrl).toBe(tsconfigProjectRoot);
+        expect(result.aliases).toEqual({
+          "@/*": [fixturePath("tsconfig-project", "src/*")],
+          "@shared": [fixturePath("tsconfig-project", "src/shared/index.ts")],
+        });
+      });
+
+      test("finds the nearest config walking upward", () => {
+        expect(findTsconfig(fixturePath("tsconfig-project", "src/moduleA"))).toBe(
+          fixturePath("tsconfig-project", "tsconfig.json")
+        );
+        expect(findTsconfig(fixturePath("tsconfig-project", "packages/app/lib/forms"))).toBe(
+          fixturePath("tsconfig-project", "packages/app/jsconfig.json")
+        );
+      });
+
+      test("caches parsed configs per file path", () => {
+        const fs = require("fs");
+        const readSpy = jest.spyOn(fs, "readFileSync");
+        const configPath = fixturePath("tsconfig-project", "tsconfig.json");
+
+        loadTsconfigAliases(configPath);
+        const readsAfterFirstLoad = readSpy.mock.calls.length;
+        loadTsconfigAliases(configPath);
+
+        expect(readsAfterFirstLoad).toBe(2);
+        expect(readSpy.mock.calls.length).toBe(readsAfterFirstLoad);
+      });
+
+      test("reports unreadable configs clearly", () => {
+        expect(() => loadTsconfigAliases(fixturePath("tsconfig-project", "missing.json"))).toThrow(
+          /unable to read tsconfig/
+        );
+      });
+
+      test("resolves bare specifiers against baseUrl only when they exist there", () => {
+        const importer = fixturePath("tsconfig-project", "src/moduleA/file.ts");
+        expect(
+          resolveAliasedPath("src/moduleB/component", importer, {}, tsconfigProjectRoot, tsconfigProjectRoot)
+        ).toBe(fixturePath("tsconfig-project", "src/moduleB/component"));
+        expect(
+          resolveAliasedPath("react", importer, {}, tsconfigProjectRoot, tsconfigProjectRoot)
+        ).toBe("react");
+      });
+    });
+
+    describe("Project Root Detection", () => {
+      afterEach(() => {
+        clearProjectRootCache();
+      });
+
+      test("finds the nearest directory with a project root marker", () => {
+        expect(findProjectRoot(path.join(tsconfigProjectRoot, "src", "moduleA"))).toBe(
+          tsconfigProjectRoot
+        );
+        expect(
+          findProjectRoot(path.join(workspaceProjectRoot, "packages", "billing", "src", "api"))
+        ).toBe(path.join(workspaceProjectRoot, "packages", "billing"));
+        expect(findProjectRoot(path.join(workspaceProjectRoot, "packages", "no-manifest"))).toBe(
+          workspaceProjectRoot
+        );
+      });
+
+      test("returns null when no marker exists", () => {
+        expect(findProjectRoot(path.join(mockProjectRoot, "src", "moduleA"))).toBeNull();
+      });
+    });
+
+    describe("File Resolution", () => {
+      const resolveOptions = normalizeResolveOptions(true, resolveProjectRoot);
+
+      test("uses defaults when enabled with true", () => {
+        expect(resolveOptions.extensions).toContain(".ts");
+        expect(resolveOptions.indexFiles).toEqual(["index"]);
+        expect(resolveOptions.resolver).toBeNull();
+        expect(normalizeResolveOptions(undefined, resolveProjectRoot)).toBeNull();
+      });
+
+      test("adds missing extensions", () => {
+        expect(resolveToFile(fixturePath("resolve-project", "src/moduleB/utils"), resolveOptions)).toBe(
+          fixturePath("resolve-project", "src/moduleB/utils.tsx")
+        );
+      });
+
+      test("resolves directories to index files", () => {
+        expect(resolveToFile(fixturePath("resolve-project", "src/moduleB"), resolveOptions)).toBe(
+          fixturePath("resolve-project", "src/moduleB/index.ts")
+        );
+      });
+
+      test("maps .js specifiers to TypeScript sources", () => {
+        expect(resolveToFile(fixturePath("resolve-project", "src/moduleC/esm.js"), resolveOptions)).toBe(
+          fixturePath("resolve-project", "src/moduleC/esm.ts")
+        );
+      });
+
+      test("prefers package.json exports over index files", () => {
+        expect(getPackageEntry(fixturePath("resolve-project", "packages/ui"))).toBe(
+          fixturePath("resolve-project", "packages/ui/lib/main.ts")
+        );
+        expect(resolveToFile(fixturePath("resolve-project", "packages/ui"), resolveOptions)).toBe(
+          fixturePath("resolve-project", "packages/ui/lib/main.ts")
+        );
+      });
+
+      test("returns unresolvable paths unchanged", () => {
+        const missing = fixturePath("resolve-project", "src/moduleB/missing");
+        expect(resolveToFile(missing, resolveOptions)).toBe(missing);
+      });
+
+      test("treats custom resolver misses and failures as unresolved", () => {
+        const options = (resolver) => ({ resolver, resolverOptions: {} });
+        expect(resolveWithCustomResolver("x", "/f.js", options(() => ({ found: false })))).toBeNull();
+        expect(
+          resolveWithCustomResolver("x", "/f.js", options(() => {
+            throw new Error("boom");
+          }))
+        ).toBeNull();
+        expect(resolveWithCustomResolver("fs", "/f.js", options(() => ({ found: true, path: null })))).toBe(
+          "fs"
+        );
+      });
+
+      test("loads resolver modules relative to the project root", () => {
+        const { resolver } = normalizeResolveOptions({ resolver: "./resolver.cjs" }, resolveProjectRoot);
+        expect(resolver("@acme/ui", "/f.js", {})).toEqual({
+          found: true,
+          path: fixturePath("resolve-project", "packages/ui"),
+        });
+      });
+
+      test("rejects resolver modules without a resolve function", () => {
+        expect(() =>
+          normalizeResolveOptions({ resolver: "fs" }, resolveProjectRoot)
+        ).toThrow(/does not export a resolve/);
+      });
+    });
+
+    describe("Entry Points", () => {
+      test("builds relative specifiers", () => {
+        expect(toRelativeSpecifier("/p/src/a", "/p/src/b")).toBe("../b");
+        expect(toRelativeSpecifier("/p/src", "/p/src/b")).toBe("./b");
+      });
+
+      test("builds alias specifiers through the alias of the original import", () => {
+        const aliases = { "@/*": ["src/*"] };
+        expect(toAliasSpecifier("/p/src/moduleB", "@/moduleB/internal/x", aliases, "/p")).toBe("@/moduleB");
+        expect(toAliasSpecifier("/p/lib/moduleB", "@/moduleB/internal/x", aliases, "/p")).toBeNull();
+        expect(toAliasSpecifier("/p/src/moduleB", "lodash", aliases, "/p")).toBeNull();
+      });
+
+      test("detects barrels that re-export a target", () => {
+        expect(
+          barrelReExports(
+            fixturePath("entry-point-project", "src/moduleB/index.ts"),
+            fixturePath("entry-point-project", "src/moduleB/internal/helpers.ts")
+          )
+        ).toEqual({ all: false, names: ["helper"] });
+        expect(
+          barrelReExports(
+            fixturePath("entry-point-project", "src/shared/index.ts"),
+            fixturePath("entry-point-project", "src/moduleC/internal/format")
+          )
+        ).toEqual({ all: true, names: [] });
+        expect(
+          barrelReExports(
+            fixturePath("entry-point-project", "src/moduleC/index.ts"),
+            fixturePath("entry-point-project", "src/moduleC/internal/format")
+          )
+        ).toBeNull();
+        expect(
+          barrelReExports(
+            fixturePath("entry-point-project", "src/moduleE/index.ts"),
+            fixturePath("entry-point-project", "src/moduleE/internal/helpers.ts")
+          )
+        ).toBeNull();
+      });
+
+      test("finds index files in directories", () => {
+        const options = normalizeResolveOptions(true, entryPointProjectRoot);
+        expect(findIndexFile(fixturePath("entry-point-project", "src/moduleB"), options)).toBe(
+          fixturePath("entry-point-project", "src/moduleB/index.ts")
+        );
+        expect(findIndexFile(fixturePath("entry-point-project", "src/moduleD"), options)).toBeNull();
+      });
+    });
+
+    describe("Markers", () => {
+      const markerOptions = normalizeMarkerOptions(true);
+
+      afterEach(() => {
+        clearMarkerCache();
+      });
+
+      test("normalizes markers options", () => {
+        expect(normalizeMarkerOptions(undefined)).toBeNull();
+        expect(markerOptions).toEqual({ sharedFile: ".shared", boundaryFile: "boundary.json" });
+        expect(normalizeMarkerOptions({ sharedFile: ".common" })).toEqual({
+          sharedFile: ".common",
+          boundaryFile: "boundary.json",
+        });
+      });
+
+      test("reads shared and boundary markers of a directory", () => {
+        expect(readDirectoryMarkers(fixturePath("marker-project", "src/common"), markerOptions)).toMatchObject({
+          shared: true,
+          boundary: false,
+        });
+        expect(readDirectoryMarkers(fixturePath("marker-project", "src/payments"), markerOptions)).toMatchObject({
+          shared: false,
+          boundary: true,
+          _dependentRegExps: [expect.any(RegExp)],
+        });
+        expect(readDirectoryMarkers(fixturePath("marker-project", "src/moduleA"), markerOptions)).toBeNull();
+      });
+
+      test("finds markers between the common ancestor and the imported file", () => {
+        const analysis = analyzeImportRelationship(
+          fixturePath("marker-project", "src/index.js"),
+          fixturePath("marker-project", "src/payments/internal/stripe.js"),
+          markerProjectRoot,
+          []
+        );
+        expect(findImportMarkers(markerProjectRoot, analysis, markerOptions)).toEqual([
+          expect.objectContaining({ directory: fixturePath("marker-project", "src/payments"), depth: 1 }),
+        ]);
+      });
+    });
+
+    describe("Module Graph", () => {
+      test("names modules after the first directory below the zone", () => {
+        const zone = { path: "src/features" };
+        expect(getModuleName("/p/src/features/billing/ui/view.js", zone, "/p")).toBe("src/features/billing");
+        expect(getModuleName("/p/src/features/index.js", zone, "/p")).toBe("src/features");
+      });
+
+      test("finds the shortest dependency chain", () => {
+        const moduleGraph = createModuleGraph([{ from: "a", to: "b" }]);
+        moduleGraph.addDependency("b.js", "b", "c");
+        moduleGraph.addDependency("b.js", "b", "a");
+        moduleGraph.addDependency("c.js", "c", "a");
+
+        expect(moduleGraph.findPath("a", "a")).toEqual(["a"]);
+        expect(moduleGraph.findPath("a", "c")).toEqual(["a", "b", "c"]);
+        expect(moduleGraph.findPath("c", "b")).toEqual(["c", "a", "b"]);
+        expect(moduleGraph.findPath("c", "d")).toBeNull();
+      });
+
+      test("forgets the dependencies of a file linted again", () => {
+        const moduleGraph = createModuleGraph();
+        moduleGraph.addDependency("b1.js", "b", "a");
+        moduleGraph.addDependency("b2.js", "b", "a");
+
+        moduleGraph.resetFile("b1.js");
+        expect(moduleGraph.findPath("b", "a")).toEqual(["b", "a"]);
+        moduleGraph.resetFile("b2.js");
+        expect(moduleGraph.findPath("b", "a")).toBeNull();
+      });
+    });
+
+    describe("Public Entries", () => {
+      const billingRoot = path.join(workspaceProjectRoot, "packages", "billing");
+
+      test("normalizes publicEntry options", () => {
+        expect(normalizePublicEntryOptions(undefined)).toBeNull();
+        expect(normalizePublicEntryOptions(true)).toEqual({ files: ["index"], packageExports: true });
+        expect(normalizePublicEntryOptions({ files: ["main"], packageExports: false })).toEqual({
+          files: ["main"],
+          packageExports: false,
+        });
+      });
+
+      test("normalizes noDeepImports options", () => {
+        expect(normalizeNoDeepImportsOptions(false)).toBeNull();
+        expect(normalizeNoDeepImportsOptions(true)).toEqual({ maxDepth: 0 });
+        expect(normalizeNoDeepImportsOptions({ maxDepth: 2 })).toEqual({ maxDepth: 2 });
+      });
+
+      test("accepts top-level entry files only", () => {
+        const options = normalizePublicEntryOptions(true);
+        expect(isPublicEntryImport("/p/src/moduleB/index.tsx", "/p/src/moduleB", options)).toBe(true);
+        expect(isPublicEntryImport("/p/src/moduleB/index.stories.tsx", "/p/src/moduleB", options)).toBe(false);
+        expect(isPublicEntryImport("/p/src/moduleB/ui/index.ts", "/p/src/moduleB", options)).toBe(false);
+      });
+
+      test("accepts package.json exports subpaths and targets", () => {
+        const options = normalizePublicEntryOptions(true);
+        expect(isPublicEntryImport(path.join(billingRoot, "api", "invoices"), billingRoot, options)).toBe(true);
+        expect(isPublicEntryImport(path.join(billingRoot, "src", "index.ts"), billingRoot, options)).toBe(true);
+        expect(isPublicEntryImport(path.join(billingRoot, "src", "api", "invoices.ts"), billingRoot, options)).toBe(
+          true
+        );
+        expect(isPublicEntryImport(path.join(billingRoot, "src", "internal"), billingRoot, options)).toBe(false);
+      });
+    });
+
+    describe("Workspaces", () => {
+      afterEach(() => clearWorkspaceCache());
+
+      test("parses pnpm-workspace.yaml package lists", () => {
+        const yaml = [
+          "# comment",
+          "packages:",
+          "  - 'apps/*'",
+          "  - \"libs/**\" # trailing comment",
+          "  - '!libs/legacy'",
+          "catalog:",
+          "  - react",
+        ].join("\n");
+        expect(parsePnpmWorkspacePackages(yaml)).toEqual(["apps/*", "libs/**", "!libs/legacy"]);
+      });
+
+      test("maps package names to folders from package.json workspaces", () => {
+        const packages = loadWorkspacePackages(workspaceProjectRoot);
+        expect(packages.map(({ name, directory }) => [name, directory])).toEqual([
+          ["@acme/checkout", fixturePath("workspace-project", "packages/checkout")],
+          ["@acme/billing", fixturePath("workspace-project", "packages/billing")],
+          ["@acme/ledger", fixturePath("workspace-project", "packages/ledger")],
+        ]);
+      });
+
+      test("expands globs and negations from pnpm-workspace.yaml", () => {
+        const names = loadWorkspacePackages(pnpmProjectRoot).map(({ name }) => name).sort();
+        expect(names).toEqual(["@acme/forms", "@acme/ui", "web"]);
+      });
+
+      test("finds the package and subpath of an import", () => {
+        const packages = loadWorkspacePackages(workspaceProjectRoot);
+        expect(findWorkspacePackage("@acme/billing/src/internal", packages)).toMatchObject({
+          workspacePackage: { name: "@acme/billing" },
+          subpath: "src/internal",
+        });
+        expect(findWorkspacePackage("@acme/billing-extra", packages)).toBeNull();
+        expect(findWorkspacePackage("react", packages)).toBeNull();
+      });
+
+      test("only treats declared exports as entry points", () => {
+        const [checkout, billing] = loadWorkspacePackages(workspaceProjectRoot);
+        expect(isWorkspaceEntryPoint(billing, "")).toBe(true);
+        expect(isWorkspaceEntryPoint(billing, "api/invoices")).toBe(true);
+        expect(isWorkspaceEntryPoint(billing, "src/internal")).toBe(false);
+        expect(isWorkspaceEntryPoint(checkout, "src/cart")).toBe(false);
+      });
+
+      test("follows Node's precedence and null targets in exports", () => {
+        const [, , ledger] = loadWorkspacePackages(workspaceProjectRoot);
+        expect(resolveWorkspaceExport(ledger, "config")).toBe(
+          fixturePath("workspace-project", "packages/ledger/src/settings.ts")
+        );
+        expect(resolveWorkspaceExport(ledger, "entries")).toBe(
+          fixturePath("workspace-project", "packages/ledger/src/entries.ts")
+        );
+        expect(resolveWorkspaceExport(ledger, "internal/secret")).toBeNull();
+        expect(isWorkspaceEntryPoint(ledger, "entries")).toBe(true);
+        expect(isWorkspaceEntryPoint(ledger, "internal/secret")).toBe(false);
+      });
+
+      test("maps declared subpaths to their export targets", () => {
+        const [checkout, billing] = loadWorkspacePackages(workspaceProjectRoot);
+        expect(resolveWorkspaceExport(billing, "")).toBe(
+          fixturePath("workspace-project", "packages/billing/src/index.ts")
+        );
+        expect(resolveWorkspaceExport(billing, "api/invoices")).toBe(
+          fixturePath("workspace-project", "packages/billing/src/api/invoices.ts")
+        );
+        expect(resolveWorkspaceExport(billing, "src/internal")).toBeNull();
+        expect(resolveWorkspaceExport(checkout, "")).toBeNull();
+      });
+    });
+
+    describe("Baseline", () => {
+      afterEach(() => clearBaselineCaches());
+
+      test("loads entries grouped by importer", () => {
+        const baseline = loadBaseline(baselineFixturePath);
+        expect([...baseline.get("src/moduleA/file.js")]).toEqual([
+          "src/moduleB/component",
+          "src/moduleC/removed",
+        ]);
+      });
+
+      test("treats a missing file as an empty baseline", () => {
+        expect(loadBaseline(fixturePath("baseline", "missing.json")).size).toBe(0);
+      });
+
+      test("replaces entries of linted importers and prunes deleted importers", () => {
+        const baseline = new Map([
+          ["src/a.js", new Set(["src/x/old.js"])],
+          ["src/b.js", new Set(["src/x/kept.js"])],
+          ["src/deleted.js", new Set(["src/x/y.js"])],
+        ]);
+        const lintedImporters = new Map([["src/a.js", new Set(["src/x/new.js"])]]);
+
+        expect(
+          mergeBaselineUpdate(baseline, lintedImporters, (importer) => importer !== "src/deleted.js")
+        ).toEqual([
+          { importer: "src/a.js", imported: "src/x/new.js" },
+          { importer: "src/b.js", imported: "src/x/kept.js" },
+        ]);
+      });
+    });
+
     describe("Path Analysis", () => {
       test("segments paths correctly", () => {
         const result = getPathSegmentsRelativeToRoot(
@@ -302,10 +2694,23 @@ describe("ESLint Rule: no-cousin-imports", () => {
         expect(result).toEqual(["src", "features", "moduleA", "file.js"]);
       });
 
-      test("detects zone membership", () => {
+      test("finds the zone containing a file", () => {
         const zones = [{ path: "src" }];
-        expect(isPathInRuleZone("/project/src/moduleA/file.js", zones, "/project")).toBe(true);
-        expect(isPathInRuleZone("/project/lib/moduleA/file.js", zones, "/project")).toBe(false);
+        expect(findRuleZone("/project/src/moduleA/file.js", zones, "/project")).toBe(zones[0]);
+        expect(findRuleZone("/project/lib/moduleA/file.js", zones, "/project")).toBeNull();
+      });
+
+      test("returns the most specific zone regardless of order", () => {
+        const legacyZone = { path: "src/legacy" };
+        const zones = [legacyZone, { path: "src" }];
+        expect(findRuleZone("/project/src/legacy/a/file.js", zones, "/project")).toBe(legacyZone);
+        expect(findRuleZone("/project/src/features/a/file.js", zones, "/project")).toBe(zones[1]);
+      });
+
+      test("excludes files under a zone's except paths", () => {
+        const zones = [{ path: "src", except: ["generated"] }];
+        expect(findRuleZone("/project/src/generated/api/client.js", zones, "/project")).toBeNull();
+        expect(findRuleZone("/project/src/generated-ui/file.js", zones, "/project")).toBe(zones[0]);
       });
 
       test("identifies cousin relationships", () => {
@@ -318,6 +2723,150 @@ describe("ESLint Rule: no-cousin-imports", () => {
         expect(result.isCousin).toBe(true);
         expect(result.commonAncestorPathSegments).toEqual(["src"]);
       });
+
+      test("measures cousin distance by the deeper side", () => {
+        const analysis = analyzeImportRelationship(
+          "/project/src/moduleA/file.js",
+          "/project/src/moduleB/utils/format.js",
+          "/project",
+          []
+        );
+        expect(getCousinDistance(analysis)).toBe(3);
+      });
+
+      test("allows near cousins only within every configured limit", () => {
+        const analysis = {
+          importerSegmentsAfterAncestor: ["A", "file.js"],
+          importedSegmentsAfterAncestor: ["B", "utils", "format.js"],
+        };
+        expect(isNearCousin(analysis, 1, {})).toBe(false);
+        expect(isNearCousin(analysis, 1, { minAncestorDepth: 1 })).toBe(true);
+        expect(isNearCousin(analysis, 0, { minAncestorDepth: 1 })).toBe(false);
+        expect(isNearCousin(analysis, 1, { maxCousinDistance: 3 })).toBe(true);
+        expect(isNearCousin(analysis, 1, { minAncestorDepth: 1, maxCousinDistance: 2 })).toBe(false);
+      });
+    });
+
+    describe("Path Containment", () => {
+      test("compares whole path segments", () => {
+        expect(isPathInside("/repo/app/src/file.js", "/repo/app")).toBe(true);
+        expect(isPathInside("/repo/app", "/repo/app")).toBe(true);
+        expect(isPathInside("/repo/app-legacy/src/file.js", "/repo/app")).toBe(false);
+        expect(isPathInside("/repo/app/..config/file.js", "/repo/app")).toBe(true);
+      });
+
+      test("handles Windows paths", () => {
+        const { win32 } = path;
+        expect(isPathInside("C:\\repo\\app\\src\\file.js", "C:\\repo\\app", win32)).toBe(true);
+        expect(isPathInside("C:\\repo\\app-legacy\\file.js", "C:\\repo\\app", win32)).toBe(false);
+        expect(isPathInside("D:\\repo\\app\\file.js", "C:\\repo\\app", win32)).toBe(false);
+        expect(toPosixPath("src\\moduleA\\file.js", win32)).toBe("src/moduleA/file.js");
+      });
+
+      test("splits Windows paths into POSIX segments", () => {
+        const { win32 } = path;
+        expect(
+          getPathSegmentsRelativeToRoot("C:\\repo\\src\\features\\file.js", "C:\\repo", win32)
+        ).toEqual(["src", "features", "file.js"]);
+
+        const zones = [{ path: "src/features", except: ["generated"] }];
+        expect(findRuleZone("C:\\repo\\src\\features\\a\\file.js", zones, "C:\\repo", win32)).toBe(
+          zones[0]
+        );
+        expect(
+          findRuleZone("C:\\repo\\src\\features\\generated\\file.js", zones, "C:\\repo", win32)
+        ).toBeNull();
+        expect(findRuleZone("C:\\repo\\src\\features-old\\file.js", zones, "C:\\repo", win32)).toBeNull();
+
+        const analysis = analyzeImportRelationship(
+          "C:\\repo\\src\\moduleA\\file.js",
+          "C:\\repo\\src\\moduleB\\component.js",
+          "C:\\repo",
+          [compileSharedPattern({ pattern: "moduleB/*", type: "glob" })],
+          win32
+        );
+        expect(analysis).toMatchObject({
+          isCousin: true,
+          isImportTargetShared: true,
+          commonAncestorPathSegments: ["src"],
+        });
+      });
+
+      describe("symlinks", () => {
+        let tmpDir;
+
+        beforeEach(() => {
+          tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "no-cousin-imports-")));
+          fs.mkdirSync(path.join(tmpDir, "packages", "billing", "src"), { recursive: true });
+          fs.mkdirSync(path.join(tmpDir, "app", "node_modules"), { recursive: true });
+          fs.symlinkSync(
+            path.join(tmpDir, "packages", "billing"),
+            path.join(tmpDir, "app", "node_modules", "billing"),
+            "dir"
+          );
+        });
+
+        afterEach(() => {
+          fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        test("resolves the existing part of a path", () => {
+          expect(resolveRealPath(path.join(tmpDir, "app", "node_modules", "billing", "src", "api"))).toBe(
+            path.join(tmpDir, "packages", "billing", "src", "api")
+          );
+          expect(resolveRealPath(path.join(tmpDir, "missing", "file"))).toBe(
+            path.join(tmpDir, "missing", "file")
+          );
+        });
+      });
+    });
+
+    describe("Type-only Detection", () => {
+      test("detects whole-statement and all-inline type imports", () => {
+        expect(isTypeOnlyImport({ importKind: "type", specifiers: [] })).toBe(true);
+        expect(
+          isTypeOnlyImport({ importKind: "value", specifiers: [{ importKind: "type" }, { importKind: "type" }] })
+        ).toBe(true);
+        expect(
+          isTypeOnlyImport({ importKind: "value", specifiers: [{ importKind: "type" }, { importKind: "value" }] })
+        ).toBe(false);
+        expect(isTypeOnlyImport({ importKind: "value", specifiers: [] })).toBe(false);
+      });
+
+      test("detects type-only re-exports", () => {
+        expect(isTypeOnlyExport({ exportKind: "type" })).toBe(true);
+        expect(isTypeOnlyExport({ exportKind: "value", specifiers: [{ exportKind: "type" }] })).toBe(true);
+        expect(isTypeOnlyExport({ exportKind: "value", specifiers: [{ exportKind: "value" }] })).toBe(false);
+      });
+    });
+
+    describe("Import Sources", () => {
+      test("recognizes single-argument require calls", () => {
+        const call = (name, args) => ({ callee: { type: "Identifier", name }, arguments: args });
+        expect(isRequireCall(call("require", [{}]))).toBe(true);
+        expect(isRequireCall(call("require", []))).toBe(false);
+        expect(isRequireCall(call("load", [{}]))).toBe(false);
+      });
+
+      test("extracts static specifier values", () => {
+        expect(getStaticSourceValue({ type: "Literal", value: "../a" })).toBe("../a");
+        expect(getStaticSourceValue({ type: "Literal", value: 42 })).toBeNull();
+        expect(
+          getStaticSourceValue({
+            type: "TemplateLiteral",
+            expressions: [],
+            quasis: [{ value: { cooked: "../b" } }],
+          })
+        ).toBe("../b");
+        expect(
+          getStaticSourceValue({
+            type: "TemplateLiteral",
+            expressions: [{ type: "Identifier" }],
+            quasis: [],
+          })
+        ).toBeNull();
+        expect(getStaticSourceValue({ type: "Identifier", name: "x" })).toBeNull();
+      });
     });
 
     describe("Pattern Matching", () => {
@@ -333,6 +2882,48 @@ describe("ESLint Rule: no-cousin-imports", () => {
         expect(matchesSharedPattern(["moduleA", "utils", "other"], patterns)).toBe(false);
       });
 
+      test("converts globs to regular expressions", () => {
+        expect(globToRegExpSource("*.types.ts")).toBe("[^/]*\\.types\\.ts");
+        expect(globToRegExpSource("**/internal")).toBe("(?:[^/]+/)*internal");
+        expect(globToRegExpSource("shared/**")).toBe("shared/.*");
+        expect(globToRegExpSource("{shared,common}")).toBe("(?:shared|common)");
+        expect(globToRegExpSource("file?.js")).toBe("file[^/]\\.js");
+      });
+
+      test("matches glob folder patterns as a prefix", () => {
+        const patterns = [compileSharedPattern({ pattern: "{shared,common}*", type: "folder" })];
+        expect(matchesSharedPattern(["shared-ui", "Button.js"], patterns)).toBe(true);
+        expect(matchesSharedPattern(["common", "utils.js"], patterns)).toBe(true);
+        expect(matchesSharedPattern(["moduleB", "shared", "x.js"], patterns)).toBe(false);
+      });
+
+      test("matches glob file patterns as a suffix", () => {
+        const patterns = [{ pattern: "constants.*", type: "file" }];
+        expect(matchesSharedPattern(["moduleB", "constants.ts"], patterns)).toBe(true);
+        expect(matchesSharedPattern(["moduleB", "myconstants.ts"], patterns)).toBe(false);
+      });
+
+      test("matches '**' across any number of segments", () => {
+        const patterns = [{ pattern: "**/__shared__", type: "folder" }];
+        expect(matchesSharedPattern(["__shared__", "a.js"], patterns)).toBe(true);
+        expect(matchesSharedPattern(["moduleB", "deep", "__shared__", "a.js"], patterns)).toBe(true);
+      });
+
+      test("matches regex patterns against the joined path", () => {
+        const patterns = [{ pattern: "\\.types\\.ts$", type: "regex" }];
+        expect(matchesSharedPattern(["moduleB", "user.types.ts"], patterns)).toBe(true);
+        expect(matchesSharedPattern(["moduleB", "user.ts"], patterns)).toBe(false);
+      });
+
+      test("precompiles plain patterns without a regular expression", () => {
+        expect(compileSharedPattern({ pattern: "shared/utils", type: "folder" })).toEqual({
+          pattern: "shared/utils",
+          type: "folder",
+          _segments: ["shared", "utils"],
+          _regExp: null,
+        });
+      });
+
       test("uses pre-computed segments", () => {
         const patterns = [{ 
           pattern: "shared/utils", 
@@ -343,6 +2934,106 @@ describe("ESLint Rule: no-cousin-imports", () => {
       });
     });
 
+    describe("Dependency Rules", () => {
+      const rules = compileDependencyRules([
+        { from: "src/features/checkout", to: ["src/features/cart", "src/features/payments"] },
+        { from: "src/features/*/", to: ["./src/shared-*"] },
+        { to: ["src/features/admin"] },
+      ]);
+
+      test("matches importer and imported boundaries as path prefixes", () => {
+        expect(
+          findDependencyRule(rules, "src/features/checkout/a.js", "src/features/payments/api/b.js")
+        ).toBe(rules[0]);
+        expect(findDependencyRule(rules, "src/features/cart/a.js", "src/features/checkout/b.js")).toBeNull();
+        expect(
+          findDependencyRule(rules, "src/features/checkout-v2/a.js", "src/features/cart/b.js")
+        ).toBeNull();
+      });
+
+      test("supports globs and normalizes boundary paths", () => {
+        expect(findDependencyRule(rules, "src/features/cart/a.js", "src/shared-ui/Button.js")).toBe(
+          rules[1]
+        );
+      });
+
+      test("matches any importer when 'from' is omitted", () => {
+        expect(findDependencyRule(rules, "src/other/a.js", "src/features/admin/b.js")).toBe(rules[2]);
+      });
+
+      test("formats rules and suggests the narrowest allow rule", () => {
+        expect(formatDependencyRule(rules[2])).toBe("{ to: ['src/features/admin'] }");
+        expect(formatDependencyRule(suggestAllowRule(["src", "features"], ["checkout", "a.js"], ["cart", "b.js"]))).toBe(
+          "{ from: 'src/features/checkout', to: ['src/features/cart'] }"
+        );
+      });
+    });
+
+    describe("Option Normalization", () => {
+      test("trims shared pattern and zone paths", () => {
+        const { zones, sharedPatterns, problems } = normalizeOptions(
+          {
+            zones: [{ path: "./src/", sharedPatterns: [{ pattern: "./common//", type: "folder" }] }],
+            sharedPatterns: [{ pattern: "utils/helpers.ts", type: "file" }],
+          },
+          mockProjectRoot
+        );
+        expect(zones[0].path).toBe("src");
+        expect(zones[0].sharedPatterns).toEqual([{ pattern: "common", type: "folder" }]);
+        expect(zones[0]._compiledSharedPatterns[0]._segments).toEqual(["common"]);
+        expect(sharedPatterns).toEqual([{ pattern: "utils/helpers.ts", type: "file" }]);
+        expect(problems).toEqual([]);
+      });
+
+      test("drops entries that cannot work", () => {
+        const { sharedPatterns, aliases, problems } = normalizeOptions(
+          {
+            zones: [{ path: "src" }],
+            sharedPatterns: [{ pattern: "[", type: "regex" }],
+            aliases: { "@/*": ["src/*"], "~/*": [] },
+          },
+          mockProjectRoot
+        );
+        expect(sharedPatterns).toEqual([]);
+        expect(aliases).toEqual({ "@/*": ["src/*"] });
+        expect(problems).toHaveLength(2);
+      });
+
+      test("checks zone paths when the project root exists", () => {
+        const { problems } = normalizeOptions(
+          { zones: [{ path: "src" }, { path: "missing" }] },
+          entryPointProjectRoot
+        );
+        expect(problems).toEqual([
+          `zones[1].path 'missing' is not a directory under '${entryPointProjectRoot}'.`,
+        ]);
+        expect(normalizeOptions({ zones: [{ path: "missing" }] }, mockProjectRoot).problems).toEqual([]);
+      });
+    });
+
+    describe("Layers", () => {
+      const layers = compileLayers(["ui", "domain", { name: "infra", path: "src/*/infra" }]);
+
+      test("finds the layer nearest to the file", () => {
+        expect(findLayer(["src", "ui", "domain", "model.js"], layers)).toMatchObject({
+          name: "domain",
+          index: 1,
+          depth: 3,
+        });
+        expect(findLayer(["src", "billing", "infra", "db.js"], layers)).toMatchObject({
+          name: "infra",
+          depth: 3,
+        });
+        expect(findLayer(["src", "billing", "api.js"], layers)).toBeNull();
+      });
+
+      test("prefers the higher layer on a tie", () => {
+        const overlapping = compileLayers([{ name: "app", path: "src/app" }, "app"]);
+        expect(findLayer(["src", "app", "main.js"], overlapping).name).toBe("app");
+        expect(findLayer(["src", "app", "main.js"], overlapping).index).toBe(0);
+      });
+    });
+
     describe("Message Generation", () => {
       test("generates violation suggestions", () => {
         const result = generateViolationSuggestions(["src"], ["moduleB", "component"]);
@@ -350,6 +3041,30 @@ describe("ESLint Rule: no-cousin-imports", () => {
         expect(result).toContain("pattern");
       });
 
+      test("suggests shared patterns from broadest to narrowest", () => {
+        expect(suggestSharedPatterns(["src"], ["moduleB", "utils", "format"])).toEqual([
+          { pattern: "src", type: "folder" },
+          { pattern: "moduleB/utils", type: "folder" },
+          { pattern: "moduleB/utils/format", type: "file" },
+        ]);
+        expect(suggestSharedPatterns([], ["component"])).toEqual([
+          { pattern: "component", type: "file" },
+        ]);
+      });
+
+      test("formats verbose violation details", () => {
+        const result = formatViolationDetails({
+          commonAncestorPathString: "src",
+          existingSharedPatternsList: "     None configured.",
+          violationSuggestions: "     - { pattern: 'src', type: 'folder' }",
+          allowRuleSuggestion: "{ from: 'src/moduleA', to: ['src/moduleB'] }",
+        });
+        expect(result).toMatch(/^\n/);
+        expect(result).toContain("common ancestor: 'src'");
+        expect(result).toContain("None configured.");
+        expect(result).toContain("{ from: 'src/moduleA', to: ['src/moduleB'] }");
+      });
+
       test("formats empty shared patterns", () => {
         const result = formatExistingSharedPatterns([]);
         expect(result).toBe("     None configured.");
@@ -364,6 +3079,12 @@ describe("ESLint Rule: no-cousin-imports", () => {
         expect(result).toContain("Folder patterns");
         expect(result).toContain("File patterns");
       });
+
+      test("formats regex patterns", () => {
+        const result = formatExistingSharedPatterns([{ pattern: "\\.types\\.ts$", type: "regex" }]);
+        expect(result).toContain("Regex patterns");
+        expect(result).toContain("/\\.types\\.ts$/");
+      });
     });
   });
 });
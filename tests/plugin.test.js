@@ -0,0 +1,105 @@
+const path = require("path");
+const { Linter } = require("eslint");
+const plugin = require("../src/index");
+const rule = require("../src/no-cousin-imports");
+const packageJson = require("../package.json");
+
+const mockProjectRoot = "/mock/project";
+
+const lintWithFlatConfig = (config, code, relativePath) =>
+  new Linter({ cwd: mockProjectRoot }).verify(
+    code,
+    [{ languageOptions: { ecmaVersion: 2020, sourceType: "module" } }, config],
+    path.join(mockProjectRoot, relativePath)
+  );
+
+describe("ESLint Plugin: no-cousin-imports", () => {
+  test("exposes the rule and package metadata", () => {
+    expect(plugin.rules["no-cousin-imports"]).toBe(rule);
+    expect(plugin.meta).toEqual({ name: packageJson.name, version: packageJson.version });
+  });
+
+  test("provides flat and eslintrc presets", () => {
+    expect(Object.keys(plugin.configs).sort()).toEqual([
+      "legacy-recommended",
+      "legacy-strict",
+      "recommended",
+      "strict",
+    ]);
+    expect(plugin.configs.recommended.plugins["no-cousin-imports"]).toBe(plugin);
+    expect(plugin.configs["legacy-recommended"].plugins).toEqual(["no-cousin-imports"]);
+  });
+
+  describe("recommended", () => {
+    test("reports cousin imports between features", () => {
+      const messages = lintWithFlatConfig(
+        plugin.configs.recommended,
+        "import { cart } from '../../checkout/model/cart';",
+        "src/features/billing/ui/invoice.js"
+      );
+
+      expect(messages).toHaveLength(1);
+      expect(messages[0]).toMatchObject({
+        ruleId: "no-cousin-imports/no-cousin-imports",
+        messageId: "noCousins",
+        severity: 2,
+      });
+    });
+
+    test("allows imports from shared folders and outside src/features", () => {
+      expect(
+        lintWithFlatConfig(
+          plugin.configs.recommended,
+          "import { money } from '../../shared/money';",
+          "src/features/billing/ui/invoice.js"
+        )
+      ).toEqual([]);
+      expect(
+        lintWithFlatConfig(
+          plugin.configs.recommended,
+          "import { client } from '../../api/client';",
+          "src/app/routes/index.js"
+        )
+      ).toEqual([]);
+    });
+  });
+
+  describe("strict", () => {
+    test("covers the whole src directory", () => {
+      const messages = lintWithFlatConfig(
+        plugin.configs.strict,
+        "import { client } from '../../api/client';",
+        "src/app/routes/index.js"
+      );
+
+      expect(messages).toHaveLength(1);
+      expect(messages[0].messageId).toBe("noCousins");
+    });
+
+    test("reports non-literal specifiers", () => {
+      const messages = lintWithFlatConfig(
+        plugin.configs.strict,
+        "import(`../../features/${name}`);",
+        "src/app/routes/index.js"
+      );
+
+      expect(messages).toHaveLength(1);
+      expect(messages[0].messageId).toBe("nonLiteralSpecifier");
+    });
+  });
+
+  test("legacy presets work with eslintrc configs", () => {
+    const linter = new Linter({ configType: "eslintrc", cwd: mockProjectRoot });
+    linter.defineRule("no-cousin-imports/no-cousin-imports", rule);
+
+    const { plugins: _plugins, ...config } = plugin.configs["legacy-recommended"];
+    const messages = linter.verify(
+      "import { cart } from '../../checkout/model/cart';",
+      { ...config, parserOptions: { ecmaVersion: 2020, sourceType: "module" } },
+      path.join(mockProjectRoot, "src/features/billing/ui/invoice.js")
+    );
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].messageId).toBe("noCousins");
+  });
+});
@@ -0,0 +1,218 @@
+const path = require("path");
+const { buildDependencyGraph, formatters } = require("../src/report");
+const { main } = require("../src/cli");
+
+const reportProjectRoot = path.join(__dirname, "fixtures", "report-project");
+const workspaceProjectRoot = path.join(__dirname, "fixtures", "workspace-project");
+const reportOptions = {
+  zones: [{ path: "src" }],
+  sharedPatterns: [{ pattern: "shared", type: "folder" }],
+  aliases: { "@/*": ["src/*"] },
+};
+
+const createStream = () => {
+  const stream = { output: "" };
+  stream.write = (chunk) => {
+    stream.output += chunk;
+  };
+  return stream;
+};
+
+const runCli = (args, cwd = reportProjectRoot) => {
+  const stdout = createStream();
+  const stderr = createStream();
+  const exitCode = main(args, { stdout, stderr, cwd });
+  return { exitCode, stdout: stdout.output, stderr: stderr.output };
+};
+
+describe("Dependency report", () => {
+  describe("buildDependencyGraph", () => {
+    const graph = buildDependencyGraph(reportProjectRoot, ["src"], reportOptions);
+
+    test("collects modules below the zones", () => {
+      expect(graph.files).toBe(5);
+      expect(graph.modules).toEqual(["src/moduleA", "src/moduleB", "src/moduleC", "src/shared"]);
+      expect(graph.errors).toEqual([]);
+    });
+
+    test("aggregates imports between modules and flags violations", () => {
+      expect(
+        graph.edges.map(({ from, to, imports, cousinImports, violations }) => ({
+          from,
+          to,
+          imports,
+          cousinImports,
+          violations,
+        }))
+      ).toEqual([
+        { from: "src/moduleA", to: "src/moduleB", imports: 1, cousinImports: 1, violations: 1 },
+        { from: "src/moduleA", to: "src/moduleC", imports: 1, cousinImports: 1, violations: 1 },
+        { from: "src/moduleA", to: "src/shared", imports: 1, cousinImports: 1, violations: 0 },
+        { from: "src/moduleB", to: "src/shared", imports: 1, cousinImports: 1, violations: 0 },
+        { from: "src/moduleC", to: "src/moduleB", imports: 1, cousinImports: 1, violations: 1 },
+      ]);
+    });
+
+    test("keeps the imports behind each edge", () => {
+      const aliasEdge = graph.edges.find((edge) => edge.to === "src/moduleC");
+      expect(aliasEdge.details).toEqual([
+        {
+          importer: "src/moduleA/ui/view.js",
+          imported: "src/moduleC/parse",
+          specifier: "@/moduleC/parse",
+          line: 2,
+          cousin: true,
+          messageId: "noCousinsViaAlias",
+        },
+      ]);
+    });
+
+    test("applies allow rules from the options", () => {
+      const allowedGraph = buildDependencyGraph(reportProjectRoot, ["src"], {
+        ...reportOptions,
+        allow: [{ from: "src/moduleC", to: ["src/moduleB"] }],
+      });
+      const edge = allowedGraph.edges.find((candidate) => candidate.from === "src/moduleC");
+      expect(edge.violations).toBe(0);
+    });
+  });
+
+  describe("buildDependencyGraph with workspaces", () => {
+    test("resolves workspace package imports like the rule", () => {
+      const graph = buildDependencyGraph(workspaceProjectRoot, ["packages"], {
+        zones: [{ path: "packages" }],
+        workspaces: true,
+      });
+
+      expect(graph.edges).toEqual([
+        expect.objectContaining({
+          from: "packages/checkout",
+          to: "packages/billing",
+          imports: 2,
+          violations: 1,
+        }),
+      ]);
+      expect(graph.edges[0].details).toEqual([
+        expect.objectContaining({
+          imported: "packages/billing/src/index.ts",
+          specifier: "@acme/billing",
+          messageId: null,
+        }),
+        expect.objectContaining({
+          imported: "packages/billing/src/internal",
+          specifier: "@acme/billing/src/internal",
+          messageId: "noCrossWorkspaceCousins",
+        }),
+      ]);
+    });
+
+    test("draws edges for type imports when they are checked", () => {
+      const graph = buildDependencyGraph(workspaceProjectRoot, ["packages"], {
+        zones: [{ path: "packages" }],
+        workspaces: true,
+        typeImports: "check",
+      });
+
+      expect(graph.edges[0]).toMatchObject({ imports: 3, violations: 2 });
+      expect(graph.edges[0].details[2]).toMatchObject({
+        specifier: "@acme/billing/src/internal",
+        line: 4,
+        messageId: "noCrossWorkspaceCousins",
+      });
+    });
+  });
+
+  describe("formatters", () => {
+    const graph = buildDependencyGraph(reportProjectRoot, ["src"], reportOptions);
+
+    test("table lists edges and module totals", () => {
+      const output = formatters.table(graph);
+      expect(output).toMatch(/^From\s+To\s+Imports\s+Cousin\s+Violations$/m);
+      expect(output).toMatch(/^src\/moduleA\s+src\/moduleB\s+1\s+1\s+1$/m);
+      expect(output).toMatch(/^src\/moduleA\s+3\s+0\s+3\s+2$/m);
+      expect(output).toContain("5 files, 4 modules, 5 edges, 3 violating.");
+    });
+
+    test("json round-trips the graph", () => {
+      expect(JSON.parse(formatters.json(graph))).toEqual(graph);
+    });
+
+    test("dot colors violating edges", () => {
+      const output = formatters.dot(graph);
+      expect(output).toContain("digraph dependencies {");
+      expect(output).toContain("\"src/moduleA\" -> \"src/moduleB\" [label=\"1\", color=red, fontcolor=red];");
+      expect(output).toContain("\"src/moduleB\" -> \"src/shared\" [label=\"1\", style=dashed];");
+    });
+
+    test("mermaid styles violating edges", () => {
+      const output = formatters.mermaid(graph);
+      expect(output).toContain("graph LR");
+      expect(output).toContain("m0[\"src/moduleA\"]");
+      expect(output).toContain("m0 -->|1| m1");
+      expect(output).toContain("m1 -.->|1| m3");
+      expect(output).toContain("linkStyle 0 stroke:red,color:red");
+      expect(output).not.toContain("linkStyle 3 ");
+    });
+  });
+
+  describe("CLI", () => {
+    test("reports with one zone per directory by default", () => {
+      const { exitCode, stdout } = runCli(["report", "src", "--format", "json"]);
+      expect(exitCode).toBe(0);
+      expect(JSON.parse(stdout).modules).toEqual([
+        "src/moduleA",
+        "src/moduleB",
+        "src/moduleC",
+        "src/shared",
+      ]);
+    });
+
+    test("reads rule options from a config file", () => {
+      const { exitCode, stdout } = runCli(["report", "src", "-c", "config.json", "--format=dot"]);
+      expect(exitCode).toBe(0);
+      expect(stdout).toContain("\"src/moduleA\" -> \"src/moduleC\" [label=\"1\", color=red, fontcolor=red];");
+    });
+
+    test("draws edges for workspace package imports", () => {
+      const { exitCode, stdout } = runCli(
+        ["report", "packages", "-c", "report.json", "--format=dot"],
+        workspaceProjectRoot
+      );
+      expect(exitCode).toBe(0);
+      expect(stdout).toContain(
+        "\"packages/checkout\" -> \"packages/billing\" [label=\"2\", color=red, fontcolor=red];"
+      );
+    });
+
+    test("rejects configuration problems the rule would warn about", () => {
+      expect(runCli(["report", "src", "-c", "invalid-config.json"])).toMatchObject({
+        exitCode: 2,
+        stdout: "",
+        stderr: expect.stringMatching(/^Invalid configuration: sharedPatterns\[0\]/),
+      });
+    });
+
+    test("rejects directories that do not exist", () => {
+      expect(runCli(["report", "src", "missing"])).toEqual({
+        exitCode: 2,
+        stdout: "",
+        stderr: "No such directory missing\n",
+      });
+    });
+
+    test("rejects unknown commands, options and formats", () => {
+      expect(runCli(["graph"]).exitCode).toBe(2);
+      expect(runCli(["report", "--verbose"]).exitCode).toBe(2);
+      expect(runCli(["report", "src", "-f", "svg"])).toMatchObject({
+        exitCode: 2,
+        stderr: expect.stringContaining("Unknown format svg"),
+      });
+    });
+
+    test("prints usage", () => {
+      const { exitCode, stdout } = runCli(["--help"]);
+      expect(exitCode).toBe(0);
+      expect(stdout).toContain("Usage: no-cousin-imports report");
+    });
+  });
+});